@@ -2,11 +2,18 @@
  * From https://www.redblobgames.com/x/2327-roguelike-dev/
  * Copyright 2023 Red Blob Games <redblobgames@gmail.com>
  * @license Apache-2.0 <https://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * The browser game: drawing, input, and saving to localStorage. The
+ * colony itself is simulated in simulation.js.
  */
 
 /// <reference path="types.d.ts"/>
 
-import {Pos, unlockRoom, unlockableRoomList, generateMap} from "./mapgen.js";
+import {Pos, DEPTH_TIERS} from "./mapgen.js";
+import {
+    colony, hooks, createWorld, step, applyCommand, snapshot, restore,
+    positionInRoom, positionsOccupiedByFurniture, isItemPosOnGround, canAfford, itemCountsToString, isOrderComplete, jobProgress,
+} from "./simulation.js";
 import {clamp} from "./util.js";
 import sprites from "./sprites.js";
 
@@ -33,413 +40,37 @@ function convertPixelToCanvasCoord(event) {
 
 
 //////////////////////////////////////////////////////////////////////
-// Simulation
-
-const roomCharacteristics = {
-    // map the room type to things we need to know about how the room works
-    wilderness: {
-        color: "hsl(100 30% 60%)",
-        // Unfortunately the way the simulation currently works doesn't
-        // support wilderness furniture (e.g. wild plants and trees)
-    },
-    open: {
-        color: "hsl(0 0% 40%)",
-        furnitureShape: null,
-    },
-    farm: {
-        furnitureShape: {
-            name: "field",
-            priority: 10,
-            ticks: 30, // how long does the job take
-            stand: Pos(0, 0),
-            inputs: [],
-            output: 'rawfood',
-            sprites: [{type: 'wheat', pos: Pos(0, 0)}],
-        },
-    },
-    kitchen: {
-        furnitureShape: {
-            name: "stove",
-            priority: 11, // cooking prioritized over farming
-            ticks: 20,
-            stand: Pos(0, 1),
-            inputs: [{type: 'rawfood', pos: Pos(0, 0)}],
-            output: 'meal',
-            sprites: [{type: 'cooking_pot', pos: Pos(0, 0)}],
-        },
-    },
-    bedroom: {
-        furnitureShape: {
-            name: "bed",
-            priority: 20, // basic needs are higher priority jobs, run first
-            ticks: 160, // 8 hours of sleep means 200 ticks from TICKS_PER_DAY
-            stand: Pos(0, 0),
-            inputs: [],
-            output: null,
-            sprites: [{type: 'bed', pos: Pos(0, 0)}],
-            status: 'sleepy',
-        },
-    },
-    dining: {
-        furnitureShape: {
-            name: "table",
-            priority: 21,
-            ticks: 20,
-            stand: Pos(0, 1),
-            inputs: [{type: 'meal', pos: Pos(0, 0)}],
-            output: null,
-            sprites: [{type: 'table', pos: Pos(0, 0)}],
-            status: 'hungry',
-        },
-    },
-    tool_shop: {
-        // NOTE: test of multi-input production
-        furnitureShape: {
-            name: "crafting",
-            priority: 1,
-            ticks: 60,
-            stand: Pos(0, 1),
-            inputs: [
-                {type: 'iron', pos: Pos(-1, 0)},
-                {type: 'wood', pos: Pos(0, -1)},
-            ],
-            output: 'axe',
-            sprites: [{type: 'table', pos: Pos(0, 0)}],
-        },
-    },
-};
-
-/**
- * Is a position within the bounds of a room?
- * @param {Room} room
- * @param {Position} pos
- * @returns {boolean}
- */
-function positionInRoom(room, pos) {
-    return room.rect.left+1 <= pos.x && pos.x < room.rect.right
-        && room.rect.top+1 <= pos.y && pos.y < room.rect.bottom;
-}
-
-/**
- * Is there an already-unlocked room at a given position?
- * @param {Position} pos
- * @returns {Room?}
- */
-function unlockedRoomAtPosition(pos) {
-    let roomOrDoor = map.walkable.get(pos.toString())?.in;
-    return (roomOrDoor && 'type' in roomOrDoor) ? roomOrDoor : undefined;
-}
-
-/**
- * For a given room, calculate which positions would be occupied by a piece of furniture
- * @param {Room} room
- * @param {Position} pos
- * @returns {Map<string, Position>} - a Map instead of a Set because of lack of value types in JS
- */
-function positionsOccupiedByFurniture(room, pos) {
-    /** @type{Map<string, Position>} */
-    let result = new Map();
-    function add(relativeCoord) {
-        if (relativeCoord) {
-            let worldCoord = Pos(relativeCoord.x + pos.x, relativeCoord.y + pos.y);
-            result.set(worldCoord.toString(), worldCoord);
-        }
-    }
-
-    const shape = roomCharacteristics[room.type].furnitureShape;
-    if (shape) {
-        add(shape.stand);
-        for (let v of shape.inputs) add(v.pos);
-        for (let v of shape.sprites) add(v.pos);
-    }
-    return result;
-}
-
-
-/**
- * Is a given position open (buildable) in a room?
- * @param {Room} room
- * @param {Position} pos
- * @returns {boolean}
- */
-function isPositionInRoomBuildable(room, pos) {
-    // It needs to be in an unlocked room
-    if (!room.unlocked) return false;
-    if (!positionInRoom(room, pos)) return false;
-    // and it can't overlap with any furniture already in the room
-    for (let f of room.furniture) {
-        for (let p of positionsOccupiedByFurniture(room, f).values()) {
-            if (pos.equals(p)) return false;
-        }
-    }
-    if (jobs.lookupDest(pos)) return false;
-    if (findItemOnTile(pos)) return false;
-    // TODO: there needs to be a remaining open tile in the room!! otherwise
-    // there's no place to store anything, and the room fails
-    return true;
-}
-
-
-class Colonist {
-    static _id = 0;
-
-    constructor(pos) {
-        /** @type {string} */
-        this.id = "c" + (++Colonist._id);
-        /** @type {Position} */
-        this.pos = pos;
-        /** @type {Position[]} - reverse order of tiles to visit */
-        this.path = [];
-        /** @type {{hungry: boolean, sleepy: boolean}} */
-        this.status = {hungry: false, sleepy: false};
-        /** @type {Item | null} - can hold one item */
-        this.inventory = null;
-    }
-
-    simulate() {
-        // NOTE: this is a state machine but the state is stored implicitly,
-        // and the logic here is error prone. I've had more tricky bugs
-        // here than elsewhere in the code, and I should've structured it
-        // differently, maybe with an explicit state machine.
-
-        if (this.path.length > 0) {
-            // If there's a path, we'll move one step closer to the goal
-            this.pos = this.path.pop();
-            return;
-        }
-
-        let job = jobs.lookupColonist(this);
-        if (!job) {
-            return;
-        }
-
-        if (job.type === 'transport') {
-            if (this.inventory) {
-                // We have the item, need to drop it
-                if (!this.pos.equals(job.dest)) throw "¹Should be at dest by now";
-                itemDrop(this, this.inventory);
-                jobs.deleteJob(job);
-            } else if (!isItemPosOnGround(job.item.pos)) {
-                throw `Job ${job.id}: colonist ${job.colonist?.id}, item ${job.item.id} should be on ground but is at ${job.item.pos?.id}`;
-            } else if (this.pos.equals(job.item.pos)) {
-                // We are at the item, need to pick it up
-                itemPickUp(this, job.item);
-                this.path = findPath(map, this.pos, job.dest);
-            } else {
-                // Need to go to the item
-                this.path = findPath(map, this.pos, job.item.pos);
-            }
-        } else if (job.type === 'production') {
-            const {furnitureShape} = roomCharacteristics[job.room.type];
-            if (this.inventory) {
-                // We have the item, need to drop it
-                if (!this.pos.equals(job.dest)) throw "²Should be at dest by now";
-                itemDrop(this, this.inventory);
-                jobs.deleteJob(job);
-            } else if (!this.pos.equals(job.stand)) {
-                // Need to walk to the furniture
-                this.path = findPath(map, this.pos, job.stand);
-            } else if (!job.timeCompleted) {
-                // Need to start the production
-                job.timeCompleted = simulation.tickId + furnitureShape.ticks;
-            } else if (simulation.tickId >= job.timeCompleted) {
-                // Production is finished, need to take the output
-                job.timeCompleted = null;
-                for (let input of furnitureShape.inputs) {
-                    let item = findItemOnTile(
-                        Pos(job.furniture.x + input.pos.x,
-                            job.furniture.y + input.pos.y));
-                    itemDestroy(item);
-                }
-                // Clear any status effect the furniture affects
-                if (furnitureShape.status) {
-                    this.status[furnitureShape.status] = false;
-                }
-                if (furnitureShape.output) {
-                    // Create the output item, and associate it with
-                    // the job so nobody else tries to use it yet.
-                    if (job.item) throw "Production job shouldn't already have an item";
-                    job.item = itemCreate(furnitureShape.output, job.colonist);
-                } else {
-                    jobs.deleteJob(job);
-                    // The colonist will still walk somewhere so they don't
-                    // block this job, but the job itself is done so the
-                    // furniture can be used by someone else
-                }
-                this.path = findPath(map, this.pos, job.dest);
-            } else {
-                // Waiting to do the job
-            }
-        }
-    }
-}
-
-const simulation = { // global
-    TICKS_PER_SECOND: 10,
-    TICKS_PER_DAY: 600,
-    EVENT_TIMES_BY_HOUR: {
-        6: 'eat', 7: 'work',
-        12: 'eat', 13: 'work',
-        18: 'eat', 19: 'work',
-        22: 'sleep',
-    },
-    tickId: 1, // start from 1 because I also use this as a truthy value
-    colonists: [],
-    init() {
-        for (let x = 20; x < 25; x++) {
-            for (let y = 10; y < 11; y++) {
-                this.colonists.push(new Colonist(Pos(x, y)));
-            }
-        }
-    },
-    get timeOfDay() {
-        return simulation.tickId % simulation.TICKS_PER_DAY;
-    },
-    get hour() {
-        return 24 * simulation.timeOfDay / simulation.TICKS_PER_DAY;
-    },
-    simulate() {
-        this.tickId++;
-        let statusToSet = this.EVENT_TIMES_BY_HOUR[this.hour];
-        for (let colonist of this.colonists) {
-            if (statusToSet === 'eat') colonist.status.hungry = true;
-            if (statusToSet === 'sleep') colonist.status.sleepy = true;
-            colonist.simulate();
-        }
-        jobs.simulate();
-    },
-};
-
-//////////////////////////////////////////////////////////////////////
-// Items
-
-/**
- * @param {Position | Object} pos
- * @returns {pos is Position}
- */
-function isItemPosOnGround(pos) {
-    return pos && 'x' in pos;
-}
+// Map and camera
 
 /**
- * @param {Position} pos
- * @returns {Item | null}
+ * The map seed comes from the url, ?seed=123, so that a colony can be
+ * shared and reproduced
+ * @returns {Partial<MapOptions>}
  */
-function findItemOnTile(pos) {
-    for (let item of map.items) {
-        if (isItemPosOnGround(item.pos) && pos.equals(item.pos)) return item;
-    }
-    return null;
+function mapOptionsFromUrl() {
+    const seed = parseInt(new URLSearchParams(window.location.search).get('seed'));
+    return Number.isFinite(seed) ? {seed} : {};
 }
 
 /**
- * Find a tile without items or a job assigned to it
- * @param {Room} room
- * @returns {Position | null}
+ * @param {number} seed
  */
-function findOpenOutputTile(room) {
-    /** @type{Set<string>} */
-    let occupiedByFurniture = new Set();
-    for (let f of room.furniture) {
-        for (let p of positionsOccupiedByFurniture(room, f).keys()) {
-            occupiedByFurniture.add(p);
-        }
-    }
-
-    // Prefer right side, bottom if available
-    for (let x = room.rect.right-1; x > room.rect.left; x--) {
-        for (let y = room.rect.bottom-1; y > room.rect.top; y--) {
-            let pos = Pos(x, y);
-            if (findItemOnTile(pos)) continue;
-            if (jobs.lookupDest(pos)) continue;
-            if (occupiedByFurniture.has(pos.toString())) continue;
-            return pos;
-        }
-    }
-    return null;
+function setUrlSeed(seed) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', String(seed));
+    window.history.replaceState(null, "", url);
 }
 
-
-/**
- * @param {ItemType} type
- * @returns {Array<Item>}
- */
-function findItemsOfType(type) {
-    return map.items.filter((item) => item.type === type);
-    // NOTE: could be faster if we have items per room, and then we only have
-    // to search some rooms
-}
-
-/**
- * @param {ItemType} type
- * @param {Colonist} colonist
- * @returns {Item}
- */
-let _nextItemId = 0;
-function itemCreate(type, colonist) {
-    if (colonist.inventory !== null) throw `Can't create item ${type}, colonist inventory not empty`;
-    let item = {id: "i" + (++_nextItemId), type, pos: colonist};
-    map.items.push(item);
-    colonist.inventory = item;
-    return item;
-}
-
-/**
- * @param {Item} item
- */
-function itemDestroy(item) {
-    if (!isItemPosOnGround(item.pos)) throw `Can't destroy ${item} unless on the ground`;
-    item.pos = null;
-    let i = map.items.indexOf(item);
-    if (i < 0) throw `Item ${item} not found in items list`;
-    map.items.splice(i, 1);
-}
-
-/**
- * @param {Colonist} colonist;
- * @param {Item} item
- */
-function itemPickUp(colonist, item) {
-    let pos = item.pos;
-    if (isItemPosOnGround(pos) && !colonist.pos.equals(pos)) throw `Can't pick up item ${item.type}, not where colonist is`;
-    if (colonist.inventory !== null) throw `Can't pick up item ${item.type}, colonist inventory not empty`;
-    item.pos = colonist;
-    colonist.inventory = item;
-}
-
-/**
- * @param {Item} item
- * @param {Colonist} colonist;
- */
-function itemDrop(colonist, item) {
-    if (item.pos !== colonist) throw `Can't drop item ${item.type} that's not carried`;
-    if (findItemOnTile(colonist.pos) !== null) throw `Can't drop item ${item.type} because tile occupied`;
-    item.pos = colonist.pos;
-    colonist.inventory = null;
-}
-
-//////////////////////////////////////////////////////////////////////
-// Map
-
-/** @type{GameMap} */
-const map = generateMap(); // global
-for (let room of map.rooms) { // have some rooms unlocked initially
-    if (room.q < 1) unlockRoom(map, room);
-}
-// Place some initial furniture; this assumes the sizes of the rooms though
-map.rooms[0].furniture = [Pos(map.rooms[0].rect.left + 2, map.rooms[0].rect.top + 1)];
-map.rooms[5].furniture = [Pos(map.rooms[5].rect.left + 2, map.rooms[5].rect.top + 1)];
-map.rooms[10].furniture = [Pos(map.rooms[10].rect.left + 2, map.rooms[10].rect.top + 1)];
-
 const camera = { // global
     pos: Pos(NaN, NaN),
     set(x, y) {
-        const halfwidth = Math.min(this.VIEWWIDTH, map.bounds.right - map.bounds.left) / 2;
-        const halfheight = Math.min(this.VIEWHEIGHT, map.bounds.bottom - map.bounds.top) / 2;
+        const {bounds} = colony.map;
+        const halfwidth = Math.min(this.VIEWWIDTH, bounds.right - bounds.left) / 2;
+        const halfheight = Math.min(this.VIEWHEIGHT, bounds.bottom - bounds.top) / 2;
         const margin = 0.33; // allow the camera to extend this many tiles past the map, to show that we're at the edge
         this.pos = Pos(
-            clamp(x, map.bounds.left + halfwidth - margin, map.bounds.right - halfwidth + margin),
-            clamp(y, map.bounds.top + halfheight - margin, map.bounds.bottom - halfheight + margin)
+            clamp(x, bounds.left + halfwidth - margin, bounds.right - halfwidth + margin),
+            clamp(y, bounds.top + halfheight - margin, bounds.bottom - halfheight + margin)
         );
     },
     // For picking:
@@ -464,203 +95,82 @@ camera.set(30, 5);
 
 
 //////////////////////////////////////////////////////////////////////
-// Pathfinding
+// Saving and loading
 
-/**
- * @param {Object} map
- * @param {Position} start
- * @param {Position} goal
- */
-function breadthFirstSearch(map, start, goal) {
-    // see https://www.redblobgames.com/pathfinding/a-star/introduction.html
-    // for the algorithm itself, and this hack to make paths prettier with bfs:
-    // https://www.redblobgames.com/pathfinding/a-star/implementation.html#ties-checkerboard-neighbors
-    const DIRS1 = [[-1, 0], [0, +1], [+1, 0], [0, -1]];
-    const DIRS2 = [...DIRS1].reverse();
-    let cost_so_far = {}; cost_so_far[start] = 0;
-    let came_from = {}; came_from[start] = null;
-    let fringes = [[start]];
-    for (let k = 0; fringes[k].length > 0; k++) {
-        fringes[k+1] = [];
-        for (let pos of fringes[k]) {
-            if (pos.equals(goal)) return {cost_so_far, came_from};
-            const parity = (pos.x + pos.y) % 2;
-            for (let [dx, dy] of parity === 0? DIRS1 : DIRS2) {
-                let neighbor = Pos(pos.x + dx, pos.y + dy);
-                if (cost_so_far[neighbor] === undefined
-                    && map.walkable.has(neighbor.toString())) {
-                    cost_so_far[neighbor] = k+1;
-                    came_from[neighbor] = pos;
-                    fringes[k+1].push(neighbor);
-                }
-            }
-        }
-    }
-    throw `Path not found from ${start} to ${goal} - should never happen`;
-}
+// Saves are the simulation snapshot plus the camera, which the
+// simulation doesn't know about
 
-function findPath(map, start, goal) {
-    let bfs = breadthFirstSearch(map, start, goal);
-    if (!bfs) {
-        console.warn("WARN bfs no path", start.toString(), "to", goal.toString())
-        return;
-    }
-    let path = [];
-    let current = goal;
-    while (!current.equals(start)) {
-        path.push(current)
-        current = bfs.came_from[current];
-    }
-    return path;
+function colonySaveData() {
+    return {...snapshot(), camera: {x: camera.pos.x, y: camera.pos.y, z: camera.z}};
 }
 
+/** @param {any} data - from colonySaveData() */
+function loadColonySaveData(data) {
+    restore(data);
+    camera.z = data.camera.z;
+    camera.set(data.camera.x, data.camera.y);
+}
 
-//////////////////////////////////////////////////////////////////////
-// Jobs
-
-const jobs = {
-    _id: 0,
-
-    /** @type{Job[]} */
-    table: [],
-
-    _lookup(field, value) {
-        return this.table.find((row) => row[field] === value);
-    },
-
-    /** @param{Position} dest */
-    lookupDest(dest) {
-        return this.table.find((row) => dest.equals(row.dest));
-    },
+const saves = {
+    STORAGE_PREFIX: "2327-roguelike:",
+    SLOTS: ['autosave', 'slot1', 'slot2', 'slot3'],
+    AUTOSAVE_TICKS: 100,
 
-    /** @param{Position} stand */
-    lookupStand(stand) {
-        return this.table.find((row) => row.stand && stand.equals(row.stand));
+    /** @param {string} slot */
+    save(slot) {
+        const data = colonySaveData();
+        localStorage.setItem(this.STORAGE_PREFIX + slot, JSON.stringify({savedAt: Date.now(), data}));
     },
 
-    /** @param{Item} item */
-    lookupItem(item) {
-        return this._lookup('item', item);
+    /**
+     * @param {string} slot
+     * @returns {any} the saved data, or null if the slot is empty
+     */
+    read(slot) {
+        const json = localStorage.getItem(this.STORAGE_PREFIX + slot);
+        return json ? JSON.parse(json).data : null;
     },
 
-    /** @param{Colonist} colonist */
-    lookupColonist(colonist) {
-        return this._lookup('colonist', colonist);
+    /**
+     * @param {string} slot
+     * @returns {boolean} whether there was a save in that slot
+     */
+    load(slot) {
+        const data = this.read(slot);
+        if (!data) return false;
+        loadColonySaveData(data);
+        return true;
     },
 
-    addTransportJob(room, furniture, colonist, item, dest) {
-        // NOTE: although in general, a colonist only has a path
-        // because they're on a job, a production job with no output
-        // will have the colonist walk away even after the job is
-        // complete. In that case, we have a non-empty path here and
-        // need to abandon that path.
-        colonist.path = [];
-        this.table.push({
-            id: "j" + (++this._id), type: 'transport',
-            room, furniture, colonist, item, dest,
-            stand: undefined, timeCompleted: undefined,
-        });
+    /** @param {string} slot */
+    clear(slot) {
+        localStorage.removeItem(this.STORAGE_PREFIX + slot);
     },
 
-    addProductionJob(room, furniture, colonist, stand, dest) {
-        colonist.path = []; // NOTE: see addTransportJob
-        this.table.push({
-            id: "j" + (++this._id), type: 'production',
-            room, furniture, colonist, stand, dest,
-            item: undefined, timeCompleted: null
-        });
+    /**
+     * @param {string} slot
+     * @returns {string} description for the ui
+     */
+    describe(slot) {
+        const json = localStorage.getItem(this.STORAGE_PREFIX + slot);
+        if (!json) return `${slot}: empty`;
+        const {savedAt, data} = JSON.parse(json);
+        const day = Math.floor(data.tickId / colony.TICKS_PER_DAY) + 1;
+        return `${slot}: day ${day}, ${data.colonists.length} colonists, ${new Date(savedAt).toLocaleString()}`;
     },
 
-    /** @param{Job} job */
-    deleteJob(job) {
-        job.type = "#deleted#";
-        let index = this.table.indexOf(job);
-        if (index < 0) throw "Deleting job not in table";
-        this.table.splice(index, 1);
+    exportFile() {
+        const blob = new Blob([JSON.stringify(colonySaveData())], {type: "application/json"});
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `colony-day${Math.floor(colony.tickId / colony.TICKS_PER_DAY) + 1}.json`;
+        a.click();
+        URL.revokeObjectURL(a.href);
     },
 
-    candidates: [], // For debugging
-    simulate() {
-        // Find all furniture input positions; we never want to pick up these items
-        let furnitureInputPositions = new Set();
-        for (let room of map.rooms) {
-            for (let furniture of room.furniture) {
-                for (let input of roomCharacteristics[room.type].furnitureShape.inputs) {
-                    let dest = Pos(furniture.x + input.pos.x,
-                                   furniture.y + input.pos.y);
-                    furnitureInputPositions.add(dest.toString());
-                }
-            }
-        }
-
-        // Scan the entire world to find candidate jobs
-        this.candidates = [];
-        let sortedRooms = [...map.rooms].sort((a, b) => {
-                const priority = (room) => roomCharacteristics[room.type]?.furnitureShape?.priority || 0;
-                return priority(b) - priority(a); // higher priority earlier
-        });
-        for (let room of sortedRooms) {
-            for (let furniture of room.furniture) {
-                // Determine if all inputs are filled (production job candidate)
-                // or if any is unfilled (transport job candidate)
-                const {furnitureShape} = roomCharacteristics[room.type];
-                let inputs = furnitureShape.inputs;
-                let inputPositions = inputs.map((input) =>
-                    Pos(furniture.x + input.pos.x, furniture.y + input.pos.y));
-                let inputItems = inputPositions.map(findItemOnTile);
-
-                if (inputItems.every((item) => item)) {
-                    // This furniture is ready for a production job
-                    let stand = Pos(furniture.x + furnitureShape.stand.x,
-                                    furniture.y + furnitureShape.stand.y);
-                    if (this.lookupStand(stand)) {
-                        this.candidates.push({room, furniture, status: "Furniture in use"});
-                        continue;
-                    }
-                    let colonist = simulation.colonists.find((colonist) => {
-                        if (this.lookupColonist(colonist)) return false; // already busy
-                        if (furnitureShape.status && !colonist.status[furnitureShape.status]) return false; // doesn't have the needed status
-                        return true;
-                    });
-                    if (!colonist) {
-                        this.candidates.push({room, furniture, status: "No colonist available"});
-                        continue;
-                    }
-                    let dest = findOpenOutputTile(room);
-                    if (!dest) {
-                        this.candidates.push({room, furniture, status: "No output tile available"});
-                        continue;
-                    }
-                    this.addProductionJob(room, furniture, colonist, stand, dest);
-                } else {
-                    // This furniture is ready for a tranport job for each input
-                    for (let i = 0; i < inputs.length; i++) {
-                        const input = inputs[i];
-                        const dest = inputPositions[i];
-                        if (inputItems[i]) continue; // already fulfilled, no job
-
-                        let job = this.lookupDest(dest);
-                        if (job) {
-                            this.candidates.push({room, furniture, input, status: "Destination reserved"});
-                            continue;
-                        }
-                        let colonist = simulation.colonists.find((colonist) => !this.lookupColonist(colonist));
-                        if (!colonist) {
-                            this.candidates.push({room, furniture, input, status: "No colonist available"});
-                            continue;
-                        }
-                        let items = findItemsOfType(input.type)
-                            .filter((item) => !this.lookupItem(item))
-                            .filter((item) => !furnitureInputPositions.has(item.pos.toString()));
-                        if (!items.length) {
-                            this.candidates.push({room, furniture, input, status: "No items available"});
-                            continue;
-                        }
-                        this.addTransportJob(room, furniture, colonist, items[0], dest)
-                    }
-                }
-            }
-        }
+    /** @param {File} file */
+    async importFile(file) {
+        loadColonySaveData(JSON.parse(await file.text()));
     },
 };
 
@@ -668,36 +178,136 @@ const jobs = {
 //////////////////////////////////////////////////////////////////////
 // Rendering
 function setMessage(str) {
-    document.querySelector("#messages").textContent = str;
+    document.querySelector("#game-instructions").textContent = str;
+}
+
+/**
+ * Add a line to the message log, newest at the bottom
+ * @param {string} str
+ */
+function logMessage(str) {
+    const messages = document.querySelector("#messages");
+    const div = document.createElement('div');
+    div.textContent = `Day ${colony.day}: ${str}`;
+    messages.appendChild(div);
+    messages.scrollTop = messages.scrollHeight;
 }
 
 function renderTimeOfDay() {
     let div = document.querySelector("#time-of-day");
     if (!div.innerHTML) {
+        // There's no schedule anymore, the colonists eat and sleep
+        // when their needs say so, so this is only a clock
         const COLORS = {
-            sleep: "hsl(260 10% 40%)",
-            eat: "hsl(30 40% 60%)",
-            work: "hsl(200 10% 50%)",
-            // no rest time for them, sad
-            // besides, they can work during sleep/eat stages too
+            night: "hsl(260 10% 40%)",
+            day: "hsl(200 10% 50%)",
         };
         let svg = `<svg viewBox="0 0 24 1">`;
-        let activity = 'sleep';
         for (let hour = 0; hour < 24; hour++) {
-            let event = simulation.EVENT_TIMES_BY_HOUR[hour];
-            if (event) activity = event;
-            svg += `<rect x=${hour} width=1 height=1 fill="${COLORS[activity]}" />`;
+            let time = 6 <= hour && hour < 22 ? 'day' : 'night';
+            svg += `<rect x=${hour} width=1 height=1 fill="${COLORS[time]}" />`;
         }
         svg += `<line y2=1 fill=none stroke=white stroke-width=0.1 />`;
         svg += `</svg>`;
         div.innerHTML = svg;
     }
-    let time = simulation.hour;
+    let time = colony.hour;
     let line = div.querySelector("line");
     line.setAttribute('x1', time.toFixed(2));
     line.setAttribute('x2', time.toFixed(2));
 }
 
+/**
+ * The goal tracker in the status bar, only touching the dom when
+ * something changed
+ */
+function renderGoals() {
+    const {objectives, goalsMet: met} = colony;
+    let html = `<span class="day">Day ${colony.day}</span>`;
+    objectives.goals.forEach((goal, i) => {
+        const {current, target} = colony.goalProgress(goal.condition);
+        let text = `${colony.describe(goal.condition)} (${Math.min(current, target)}/${target})`;
+        if (met[i] !== null) text += `, day ${met[i]}`;
+        else if (goal.byDay !== undefined) text += ` by day ${goal.byDay}`;
+        html += `<span class="goal ${met[i] !== null ? 'met' : ''}">${met[i] !== null ? '✔' : '○'} ${text}</span>`;
+    });
+    for (let condition of objectives.failures) {
+        html += `<span class="failure">Lose if: ${colony.describe(condition)}</span>`;
+    }
+    let div = document.querySelector("#status-bar");
+    if (div.innerHTML !== html) div.innerHTML = html;
+}
+
+/**
+ * Each colonist's work priorities, skill levels, and health, in a panel
+ * under the map, only touching the dom when something changed. The
+ * work priorities are buttons, see main.initColonistPanel().
+ */
+function renderColonistPanel() {
+    let html = `<table><tr><th>Colonist</th><th>Health</th>`
+        + colony.WORK_TYPES.map((work) => `<th class="work">${work}</th>`).join("")
+        + colony.SKILLS.map((skill) => `<th>${skill}</th>`).join("") + `</tr>`;
+    colony.colonists.forEach((colonist, row) => {
+        html += `<tr><td>${colonist.id}</td><td>${Math.floor(colonist.health)}/${colony.COLONIST_HEALTH}</td>`
+            + colony.WORK_TYPES.map((work, column) => {
+                const priority = colonist.workPriorities[work];
+                return `<td class="work"><button data-row="${row}" data-column="${column}" data-colonist="${colonist.id}" data-work="${work}"`
+                    + ` title="${colonist.id} ${work}: ${priority || 'never'}">${priority || ''}</button></td>`;
+            }).join("")
+            + colony.SKILLS.map((skill) => `<td>${colony.skillLevel(colonist, skill) || ''}</td>`).join("") + `</tr>`;
+    });
+    html += `</table>`;
+    let div = /** @type {HTMLElement} */(document.querySelector("#colonist-panel"));
+    if (div.dataset.html === html) return;
+    div.dataset.html = html;
+    // Keep the keyboard focus on the same cell after replacing it
+    const focused = div.contains(document.activeElement) ? /** @type {HTMLElement} */(document.activeElement).dataset : null;
+    div.innerHTML = html;
+    if (focused) {
+        /** @type {HTMLElement} */(div.querySelector(`[data-colonist="${focused.colonist}"][data-work="${focused.work}"]`))?.focus();
+    }
+}
+
+/**
+ * Show the end of run summary once the run is won or lost, until the
+ * player decides to keep playing or start over
+ */
+function renderRunSummary() {
+    const {outcome, objectives, goalsMet: met} = colony;
+    let div = /** @type {HTMLElement} */(document.querySelector("#run-summary"));
+    let visible = outcome !== null && !outcome.continued;
+    div.classList.toggle('visible', visible);
+    if (!visible || div.dataset.day === String(outcome.day)) return;
+    div.dataset.day = String(outcome.day);
+
+    const {arrived, died, left, peak} = colony.populationStats;
+    const unlocked = colony.map.rooms.filter((room) => room.unlocked).length;
+    /** @type {ItemCounts} */
+    let onHand = {};
+    for (let item of colony.map.items) onHand[item.type] = (onHand[item.type] ?? 0) + item.count;
+    const goalRows = objectives.goals.map((goal, i) =>
+        `<li>${met[i] !== null ? '✔' : '✘'} ${colony.describe(goal.condition)}`
+        + (met[i] !== null ? ` on day ${met[i]}` : '') + `</li>`).join("");
+    div.querySelector(".summary").innerHTML = `
+      <h3>${outcome.result === 'won' ? "Victory" : "Defeat"}</h3>
+      <p>${outcome.reason}, on day ${outcome.day}.</p>
+      <ul>${goalRows}</ul>
+      <p>${colony.colonists.length} colonists now, ${peak} at most.
+         ${arrived} arrived, ${died} died, ${left} left.</p>
+      <p>${unlocked} rooms unlocked. Items: ${itemCountsToString(onHand) || "none"}.</p>`;
+}
+
+const HAZARD_NAMES = {caveIn: "cave-ins", flooded: "flooded", dark: "dark"};
+
+/**
+ * @param {ReadonlyDeep<Room>} room
+ * @returns {string} the depth tier and hazard, for rooms not unlocked yet
+ */
+function depthDescription(room) {
+    const tier = DEPTH_TIERS[room.tier].name;
+    return room.hazard ? `${tier}, ${HAZARD_NAMES[room.hazard]}` : tier;
+}
+
 const render = {
     /** @type {null | Rect} */
     view: null,
@@ -709,6 +319,9 @@ const render = {
 
     begin() {
         renderTimeOfDay();
+        renderGoals();
+        renderColonistPanel();
+        renderRunSummary();
         const halfwidth = camera.VIEWWIDTH / 2;
         const halfheight = camera.VIEWHEIGHT / 2;
 
@@ -747,6 +360,7 @@ const render = {
     },
 
     drawTileLabel(label, x, y, options={}) {
+        const color = options.color ?? "white";
         let scale = options.scale ?? 0.4;
         const maxWidth = options.maxWidth ?? Infinity;
         const maxHeight = options.maxHeight ?? Infinity;
@@ -760,7 +374,7 @@ const render = {
         }
         ctx.lineWidth = 2 / camera.TILE_SIZE;
         ctx.strokeStyle = "black";
-        ctx.fillStyle = "white";
+        ctx.fillStyle = color;
         ctx.textAlign = 'center';
         ctx.strokeText(label, x+0.5, y+0.9);
         ctx.fillText(label, x+0.5, y+0.9);
@@ -785,8 +399,8 @@ const render = {
         ctx.strokeStyle = "black";
         for (let y = this.view.top; y < this.view.bottom; y++) {
             for (let x = this.view.left; x < this.view.right; x++) {
-                let tile = map.tiles.get(Pos(x, y));
-                let index = animationIndex(x, y - (tile !== 'river'? 0 : Math.floor(simulation.tickId/simulation.TICKS_PER_SECOND)));
+                let tile = colony.map.tiles.get(Pos(x, y));
+                let index = animationIndex(x, y - (tile !== 'river'? 0 : Math.floor(colony.tickId/colony.TICKS_PER_SECOND)));
                 let renderCandidates = tileRenders[tile] ?? ["red"];
                 let render = renderCandidates[index % renderCandidates.length];
                 this.drawTile(x, y, null, render);
@@ -797,7 +411,7 @@ const render = {
 
     drawDoors() {
         ctx.save();
-        for (let door of map.doors) {
+        for (let door of colony.map.doors) {
             let {x, y} = door.pos;
             if (this.view.left <= x && x < this.view.right
                 && this.view.top <= y && y < this.view.bottom) {
@@ -813,14 +427,15 @@ const render = {
 
     drawRooms() {
         ctx.save();
-        let unlockableRooms = unlockableRoomList(map);
-        for (let room of map.rooms) {
+        let unlockableRooms = colony.unlockableRooms();
+        let available = colony.availableItemCounts();
+        for (let room of colony.map.rooms) {
             let unlockable = unlockableRooms.indexOf(room) >= 0;
             if (!room.unlocked && !unlockable) continue;
             let alpha = room.unlocked ? 0.5 : 0.1;
             if (main.uiMode === 'room' && unlockable) alpha = 1.0;
             ctx.globalAlpha = alpha;
-            ctx.fillStyle = roomCharacteristics[room.type].color ?? `hsl(${360 * room.hash|0} 50% 50%)`;
+            ctx.fillStyle = colony.roomCharacteristics[room.type].color ?? `hsl(${360 * room.hash|0} 50% 50%)`;
             ctx.strokeStyle = "white";
             ctx.lineWidth = room === this.highlightedRoom ? 0.25 : 0.05;
             ctx.beginPath();
@@ -828,55 +443,224 @@ const render = {
             ctx.fill();
             ctx.globalAlpha = 1.0;
             ctx.stroke();
+            if (room.unlocked && colony.isFlooded(room)) {
+                ctx.fillStyle = "hsl(210 70% 50% / 0.6)";
+                ctx.fillRect(room.rect.left+1, room.rect.top+1, room.rect.right-room.rect.left-1, room.rect.bottom-room.rect.top-1);
+                this.drawTileLabel(`flooded, pump ${room.water} more`,
+                                   (room.rect.left+room.rect.right)/2, room.rect.top+1.5,
+                                   {scale: 0.6, maxWidth: room.rect.right-room.rect.left-2, color: "hsl(210 80% 85%)"});
+            }
             ctx.globalAlpha = camera.z / 10.0;
-            this.drawTileLabel(room.unlocked? room.type : "?",
+            this.drawTileLabel(room.unlocked? room.type : `? ${depthDescription(room)}`,
                                (room.rect.left+room.rect.right)/2, room.rect.bottom-1,
                                {
                                    scale: 2,
                                    maxWidth: room.rect.right-room.rect.left-2,
                                    maxHeight: room.rect.bottom-room.rect.top-1.5
                                });
+            if (!room.unlocked) {
+                // Show the cost, or the progress if it's being unlocked
+                let label, color;
+                if (room.excavating) {
+                    label = "excavating";
+                    color = "hsl(60 80% 80%)";
+                } else if (room.unlockOrder) {
+                    const {cost, delivered} = room.unlockOrder;
+                    label = Object.keys(cost).map((type) => `${delivered[type] ?? 0}/${cost[type]} ${type}`).join(", ");
+                    color = "hsl(60 80% 80%)";
+                } else {
+                    label = itemCountsToString(room.unlockCost);
+                    color = canAfford(room.unlockCost, available) ? "hsl(120 60% 80%)" : "hsl(0 60% 80%)";
+                }
+                ctx.globalAlpha = main.uiMode === 'room' ? 1.0 : 0.5;
+                this.drawTileLabel(label,
+                                   (room.rect.left+room.rect.right)/2, room.rect.top+0.5,
+                                   {
+                                       scale: 0.6,
+                                       maxWidth: room.rect.right-room.rect.left-2,
+                                       color,
+                                   });
+            }
+        }
+        ctx.restore();
+    },
+
+    drawZones() {
+        ctx.save();
+        /** @type {Array<{rect: Rect, label: string}>} */
+        let zones = colony.zones.map(({rect, filter}) => ({rect, label: filter?.join(", ") ?? "stockpile"}));
+        if (main.zoneDrag) {
+            const {start, end} = main.zoneDrag;
+            zones.push({rect: {
+                left: Math.min(start.x, end.x), right: Math.max(start.x, end.x) + 1,
+                top: Math.min(start.y, end.y), bottom: Math.max(start.y, end.y) + 1,
+            }, label: ""});
+        }
+        ctx.lineWidth = 0.05;
+        ctx.setLineDash([0.2, 0.1]);
+        for (let {rect, label} of zones) {
+            const {left, top, right, bottom} = rect;
+            ctx.fillStyle = main.uiMode === 'zone' ? "hsl(45 80% 60% / 0.35)" : "hsl(45 80% 60% / 0.15)";
+            ctx.strokeStyle = "hsl(45 80% 70%)";
+            ctx.fillRect(left, top, right - left, bottom - top);
+            ctx.strokeRect(left, top, right - left, bottom - top);
+            if (label) {
+                this.drawTileLabel(label, (left + right) / 2, top + 0.4,
+                                   {scale: 0.35, maxWidth: right - left, color: "hsl(45 80% 80%)"});
+            }
+        }
+        ctx.restore();
+    },
+
+    drawProgressBar(x, y, fraction) {
+        ctx.fillStyle = "hsl(0 0% 0% / 0.5)";
+        ctx.fillRect(x + 0.1, y + 0.8, 0.8, 0.15);
+        ctx.fillStyle = "hsl(120 60% 60%)";
+        ctx.fillRect(x + 0.1, y + 0.8, 0.8 * clamp(fraction, 0, 1), 0.15);
+    },
+
+    drawExcavation() {
+        ctx.save();
+        ctx.lineWidth = 1/(camera.TILE_SIZE/512);
+        ctx.strokeStyle = "black";
+        for (let room of colony.map.rooms) {
+            // Caved in doors get dug out the same way as the frontier
+            let positions = [...room.rubble];
+            if (room.excavating) positions.push(...colony.excavationFrontier(room).map(({pos}) => pos));
+            for (let pos of positions) {
+                let job = colony.jobAt(pos);
+                if (job?.type === 'excavate') {
+                    this.drawTile(pos.x, pos.y, 'mining', "hsl(30 50% 70%)");
+                    if (job.timeCompleted) this.drawProgressBar(pos.x, pos.y, jobProgress(job));
+                } else {
+                    this.drawTile(pos.x, pos.y, 'digdug', "hsl(30 30% 50% / 0.5)");
+                }
+            }
         }
         ctx.restore();
     },
 
     drawFurniture() {
         ctx.save();
-        for (let room of map.rooms) {
-            const furnitureData = roomCharacteristics[room.type];
+        for (let room of colony.map.rooms) {
+            const furnitureData = colony.roomCharacteristics[room.type];
             if (!furnitureData) continue;
-            for (let {x, y} of room.furniture) {
-                if (this.view.left <= x && x < this.view.right
-                    && this.view.top <= y && y < this.view.bottom) {
-                    let color = furnitureData.color ?? "white";
-                    ctx.lineWidth = 1/(camera.TILE_SIZE/512);
-                    ctx.strokeStyle = "black";
-                    if (furnitureData.furnitureShape.stand) {
-                        this.drawTile(x + furnitureData.furnitureShape.stand.x,
-                                      y + furnitureData.furnitureShape.stand.y,
-                                      'footprint', "hsl(120 30% 70% / 0.2)");
-                    }
-                    for (let input of furnitureData.furnitureShape.inputs) {
-                        this.drawTile(x + input.pos.x, y + input.pos.y,
-                                      input.type, "hsl(0 50% 50% / 0.1)");
-                    }
-                    for (let sprite of furnitureData.furnitureShape.sprites) {
-                        this.drawTile(x + sprite.pos.x, y + sprite.pos.y,
-                                      sprite.type, color);
-                    }
+            const shape = furnitureData.furnitureShape;
+            const drawShape = (x, y) => {
+                let color = furnitureData.color ?? "white";
+                ctx.lineWidth = 1/(camera.TILE_SIZE/512);
+                ctx.strokeStyle = "black";
+                if (shape.stand) {
+                    this.drawTile(x + shape.stand.x, y + shape.stand.y,
+                                  'footprint', "hsl(120 30% 70% / 0.2)");
+                }
+                for (let input of shape.inputs) {
+                    this.drawTile(x + input.pos.x, y + input.pos.y,
+                                  input.type, "hsl(0 50% 50% / 0.1)");
+                }
+                for (let sprite of shape.sprites) {
+                    this.drawTile(x + sprite.pos.x, y + sprite.pos.y,
+                                  sprite.type, color);
+                }
+            };
+            const inView = ({x, y}) => this.view.left <= x && x < this.view.right
+                  && this.view.top <= y && y < this.view.bottom;
+            const constructionJobs = new Map(
+                colony.jobs
+                    .filter((job) => job.type === 'construct')
+                    .map((job) => [job.furniture.toString(), job]));
+
+            for (let pos of room.furniture) {
+                if (!inView(pos)) continue;
+                if (shape.crop) this.drawField(pos, shape.crop);
+                else drawShape(pos.x, pos.y);
+            }
+
+            // Blueprints are see-through, with a progress bar that first
+            // shows materials delivered and then construction
+            for (let {pos, order} of room.blueprints) {
+                if (!inView(pos)) continue;
+                ctx.globalAlpha = 0.4;
+                drawShape(pos.x, pos.y);
+                ctx.globalAlpha = 1.0;
+                let job = constructionJobs.get(pos.toString());
+                let progress;
+                if (!isOrderComplete(order)) {
+                    const total = Object.values(order.cost).reduce((a, b) => a + b, 0);
+                    const delivered = Object.values(order.delivered).reduce((a, b) => a + b, 0);
+                    progress = delivered / total;
+                } else {
+                    this.drawTile(pos.x, pos.y, shape.construction.sprite, "hsl(40 60% 70%)", {scale: 0.6});
+                    progress = job ? jobProgress(job) : 0;
                 }
+                this.drawProgressBar(pos.x, pos.y, progress);
             }
         }
         ctx.restore();
     },
 
+    /**
+     * Barricades and traps, see-through until they're built like
+     * blueprints, and then with how many hits they have left
+     */
+    drawDefenses() {
+        ctx.save();
+        ctx.lineWidth = 1/(camera.TILE_SIZE/512);
+        ctx.strokeStyle = "black";
+        for (let {kind, pos, order, built, hits} of colony.defenses) {
+            const {x, y} = pos;
+            if (!(this.view.left <= x && x < this.view.right
+                  && this.view.top <= y && y < this.view.bottom)) continue;
+            const shape = colony.DEFENSES[kind];
+            ctx.globalAlpha = built ? 1.0 : 0.4;
+            this.drawTile(x, y, shape.sprite, kind === 'trap' ? "hsl(0 40% 50%)" : "hsl(30 50% 45%)");
+            ctx.globalAlpha = 1.0;
+            if (!built) {
+                const total = Object.values(order.cost).reduce((a, b) => a + b, 0);
+                const delivered = Object.values(order.delivered).reduce((a, b) => a + b, 0);
+                this.drawProgressBar(x, y, delivered / total);
+            } else if (camera.z < 4) {
+                this.drawTileLabel(`${hits}/${shape.hits}`, x, y, {scale: 0.3});
+            }
+        }
+        ctx.restore();
+    },
+
+    /**
+     * Fields show the stage the crop is at, and whether it needs water
+     * @param {Position} pos
+     * @param {Crop} crop
+     */
+    drawField(pos, crop) {
+        const field = colony.fieldAt(pos);
+        const stage = field?.stage ?? 'untilled';
+        const soil = "hsl(30 40% 30% / 0.6)";
+        ctx.lineWidth = 1/(camera.TILE_SIZE/512);
+        ctx.strokeStyle = "black";
+        if (stage !== 'untilled') this.drawTile(pos.x, pos.y, null, soil);
+        if (stage === 'planted') {
+            // Sprouts get bigger as they grow
+            const growth = field.growth / (crop.growDays * colony.TICKS_PER_DAY);
+            this.drawTile(pos.x, pos.y, 'sprout', "hsl(110 50% 45%)", {scale: 0.5 + 0.5 * growth});
+            if (colony.isDry(crop, field)) {
+                this.drawTile(pos.x + 0.5, pos.y, 'watering_can', "hsl(200 70% 60%)", {scale: 0.5});
+            }
+        } else if (stage === 'ripe') {
+            this.drawTile(pos.x, pos.y, 'wheat', "hsl(45 80% 60%)");
+        } else if (stage === 'dead') {
+            this.drawTile(pos.x, pos.y, 'sprout', "hsl(30 20% 40%)", {scale: 0.7});
+        } else if (stage === 'untilled') {
+            this.drawTile(pos.x, pos.y, 'footprint', "hsl(120 30% 70% / 0.2)");
+        }
+    },
+
     /**
      * if there's a room at this position, draw yes/no squares
      * showing whether furniture is allowed
      */
     drawFurnitureCandidateAt(pos) {
         pos = Pos(Math.floor(pos.x), Math.floor(pos.y));
-        let room = unlockedRoomAtPosition(pos);
+        let room = colony.roomAt(pos);
         if (!room || !room.unlocked) return;
         let positions = positionsOccupiedByFurniture(room, pos).values();
         ctx.save();
@@ -884,7 +668,7 @@ const render = {
         ctx.strokeStyle = "black";
         ctx.globalAlpha = 0.75;
         for (let p of positions) {
-            if (isPositionInRoomBuildable(room, p)) {
+            if (colony.isBuildable(room, p)) {
                 this.drawTile(p.x, p.y, null, "hsl(200 50% 50%)");
                 this.drawTile(p.x, p.y, 'check_mark', "white");
             } else {
@@ -897,15 +681,19 @@ const render = {
 
     drawCreatures() {
         ctx.save();
-        for (let colonist of simulation.colonists) {
+        for (let colonist of colony.colonists) {
             let {x, y} = colonist.pos;
             if (this.view.left <= x && x < this.view.right
                 && this.view.top <= y && y < this.view.bottom) {
-                let color = `hsl(60, 100%, 75%)`;
+                const collapsed = colonist.state === 'collapsed';
+                let color = collapsed ? `hsl(60, 10%, 60%)` : `hsl(60, 100%, 75%)`;
                 ctx.lineWidth = 1/(camera.TILE_SIZE/512);
                 ctx.strokeStyle = "black";
                 this.drawTile(x, y, 'person', color);
-                if (camera.z < 4) this.drawTileLabel("dwarf", x, y);
+                const label = {collapsed: "zzz", fighting: "fight!", fleeing: "flee!"}[colonist.state] ?? "dwarf";
+                if (camera.z < 4) this.drawTileLabel(label, x, y);
+                this.drawNeeds(colonist);
+                this.drawHealth(colonist.pos, colonist.health / colony.COLONIST_HEALTH);
                 ctx.lineWidth = 0.1;
                 ctx.strokeStyle = "hsl(0 0% 100% / 0.25)";
                 ctx.translate(0.5, 0.5);
@@ -918,13 +706,76 @@ const render = {
                 ctx.translate(-0.5, -0.5);
             }
         }
+        for (let creature of colony.creatures) {
+            let {x, y} = creature.pos;
+            if (!(this.view.left <= x && x < this.view.right
+                  && this.view.top <= y && y < this.view.bottom)) continue;
+            const kind = colony.CREATURES[creature.kind];
+            ctx.lineWidth = 1/(camera.TILE_SIZE/512);
+            ctx.strokeStyle = "black";
+            this.drawTile(x, y, kind.sprite, "hsl(0 70% 60%)");
+            this.drawHealth(creature.pos, creature.health / kind.health);
+        }
+        ctx.restore();
+    },
+
+    /**
+     * A red bar along the top of the tile, only once hurt
+     * @param {Position} pos
+     * @param {number} fraction - of full health
+     */
+    drawHealth(pos, fraction) {
+        if (fraction >= 1) return;
+        ctx.fillStyle = "hsl(0 0% 0% / 0.5)";
+        ctx.fillRect(pos.x + 0.1, pos.y + 0.05, 0.8, 0.08);
+        ctx.fillStyle = "hsl(0 80% 55%)";
+        ctx.fillRect(pos.x + 0.1, pos.y + 0.05, 0.8 * fraction, 0.08);
+    },
+
+    /**
+     * Little bars along the bottom of the colonist's tile, full when
+     * the need is met, and red when it's urgent
+     * @param {Colonist} colonist
+     */
+    drawNeeds(colonist) {
+        const {x, y} = colonist.pos;
+        const {hunger, fatigue, mood} = colonist.needs;
+        const bars = [
+            {value: 1 - hunger, urgent: hunger >= colony.NEED_METERS.hunger.urgent, hue: 30},
+            {value: 1 - fatigue, urgent: fatigue >= colony.NEED_METERS.fatigue.urgent, hue: 220},
+            {value: mood, urgent: mood < colony.LOW_MOOD, hue: 120},
+        ];
+        bars.forEach(({value, urgent, hue}, i) => {
+            let top = y + 0.7 + 0.1 * i;
+            ctx.fillStyle = "hsl(0 0% 0% / 0.5)";
+            ctx.fillRect(x + 0.1, top, 0.8, 0.08);
+            ctx.fillStyle = urgent ? "hsl(0 80% 50%)" : `hsl(${hue} 60% 60%)`;
+            ctx.fillRect(x + 0.1, top, 0.8 * value, 0.08);
+        });
+    },
+
+    drawResources() {
+        ctx.save();
+        ctx.lineWidth = 1/(camera.TILE_SIZE/512);
+        ctx.strokeStyle = "black";
+        for (let node of colony.map.resources) {
+            const {x, y} = node.pos;
+            if (!(this.view.left <= x && x < this.view.right
+                  && this.view.top <= y && y < this.view.bottom)) continue;
+            const {sprite, generation} = colony.roomCharacteristics.wilderness.resources[node.kind];
+            // Used up nodes are faded until they grow back
+            const alpha = node.uses > 0 ? 1.0 : 0.3;
+            this.drawTile(x, y, sprite, `hsl(90 40% 35% / ${alpha})`);
+            if (camera.z < 4 && node.uses < generation.uses) {
+                this.drawTileLabel(`${node.uses}/${generation.uses}`, x, y, {scale: 0.3});
+            }
+        }
         ctx.restore();
-        // TODO: show the status effects
     },
 
     drawItems(where) {
         ctx.save();
-        for (let item of map.items) {
+        for (let item of colony.map.items) {
             let pos =
                 (where === 'ground' && isItemPosOnGround(item.pos)) ? item.pos
                 : (where === 'inventory' && !isItemPosOnGround(item.pos)) ? item.pos.pos
@@ -936,6 +787,9 @@ const render = {
                 ctx.lineWidth = 1/(camera.TILE_SIZE/512);
                 ctx.strokeStyle = "black";
                 this.drawTile(pos.x, pos.y, item.type, color, {scale: where === 'ground'? 1.0 : 0.4});
+                // Items without their own sprite get their name written on them
+                if (!sprites[item.type] && where === 'ground' && camera.z < 4) this.drawTileLabel(item.type, pos.x, pos.y - 0.4, {maxWidth: 1});
+                if (item.count > 1 && camera.z < 4) this.drawTileLabel(`${item.count}`, pos.x, pos.y, {scale: 0.35});
             }
         }
         ctx.restore();
@@ -965,32 +819,54 @@ const render = {
         }
         function itemStr(item) {
             if (!item) return "-";
-            return `${item.id}:${item.type}`;
+            return `${item.id}:${item.count}×${item.type}`;
+        }
+
+        function roomStr(room) {
+            // Don't reveal the type of a locked room
+            return room.unlocked ? room.type : `locked ${room.id}`;
         }
 
         let html = ``;
-        html += tableHtml("Colonists", ["Colonist", "Pos", "Job", "Holding", "Dest", "Status"],
-                          simulation.colonists.map((colonist) => [
-                              colonist.id, colonist.pos,
-                              jobs.lookupColonist(colonist)?.id ?? '',
+        html += tableHtml("Colonists", ["Colonist", "Pos", "State", "Job", "Holding", "Tool", "Dest", "Needs", "Health", "Skills"],
+                          colony.colonists.map((colonist) => [
+                              colonist.id, colonist.pos, colonist.state,
+                              colony.jobFor(colonist)?.id ?? '',
                               itemStr(colonist.inventory),
+                              colonist.tool?.type ?? '-',
                               colonist.path?.[colonist.path?.length-1] ?? '',
-                              (colonist.status.sleepy ? 'sleepy ' : '') + (colonist.status.hungry ? 'hungry ' : ''),
+                              Object.entries(colonist.needs).map(([need, value]) => `${need} ${value.toFixed(2)}`).join(' '),
+                              colonist.health.toFixed(1),
+                              colony.SKILLS.map((skill) => `${skill} ${colony.skillLevel(colonist, skill)} (${colonist.skills[skill]})`).join(' '),
                           ]));
         html += tableHtml("Jobs", ["Job", "Room", "Item", "Colonist", "Time", "Dest"],
-                          jobs.table.map(({id, type, room, colonist, item, timeCompleted, dest}) => [
+                          colony.jobs.map(({id, type, room, colonist, item, timeCompleted, dest}) => [
                               `${id}:${type}`,
-                              room.type,
+                              roomStr(room),
                               itemStr(item) + " @ " + itemPos(item),
                               colonist.id,
-                              timeCompleted === undefined? "-" : timeCompleted === null? "waiting" : (timeCompleted - simulation.tickId),
+                              timeCompleted === undefined? "-" : timeCompleted === null? "waiting" : (timeCompleted - colony.tickId),
                               dest,
                           ]));
+        const {assignmentStats: stats} = colony;
+        const saved = (greedy, optimal) => greedy > 0 ? `${Math.round(100 * (1 - optimal / greedy))}%` : '';
+        html += tableHtml("Assignment walking cost", ["", "Jobs", "First free", "Optimal", "Saved"], [
+            ["Last tick", stats.jobs, stats.greedy, stats.optimal, saved(stats.greedy, stats.optimal)],
+            ["Total", '', stats.totalGreedy, stats.totalOptimal, saved(stats.totalGreedy, stats.totalOptimal)],
+        ]);
+        if (colony.plan) {
+            const plan = colony.plan;
+            html += tableHtml("Demand plan", ["Item", "Demand", "Free", "Pending", "Still needed"],
+                              Object.keys(plan.demand).map((type) => [
+                                  type, plan.demand[type], plan.free[type] ?? 0,
+                                  plan.pending[type] ?? 0, plan.need[type] ?? 0,
+                              ]));
+        }
         html += tableHtml("Job unfulfilled", ["Room", "Input", "Status"],
-                          jobs.candidates.map(({room, furniture, input, status}) =>
-                              [`${room.type} @ ${furniture}`, input?.type ?? '', status]));
-        html += tableHtml("Items", ["Id", "Type", "Pos"],
-                          map.items.map((item) => [item.id, item.type, itemPos(item)]));
+                          colony.candidates.map(({room, furniture, input, status}) =>
+                              [`${roomStr(room)} @ ${furniture ?? '-'}`, input?.type ?? '', status]));
+        html += tableHtml("Items", ["Id", "Type", "Count", "Pos"],
+                          colony.map.items.map((item) => [item.id, item.type, item.count, itemPos(item)]));
         debug.innerHTML = html;
     },
 
@@ -1000,7 +876,11 @@ const render = {
         this.drawBackground();
         this.drawRooms();
         this.drawDoors();
+        this.drawZones();
+        this.drawExcavation();
         this.drawFurniture();
+        this.drawResources();
+        this.drawDefenses();
         if (main.uiMode === 'furniture') this.drawFurnitureCandidateAt(main.pointerState);
         this.drawItems('ground');
         this.drawCreatures();
@@ -1013,21 +893,64 @@ const render = {
 };
 
 
+/**
+ * Everything the colony can make or use, for the ui
+ * @returns {ItemType[]}
+ */
+function colonyItemTypes() {
+    let itemTypes = new Set();
+    for (let {furnitureShape, generation} of Object.values(colony.roomCharacteristics)) {
+        if (!furnitureShape || !generation) continue;
+        if (furnitureShape.crop) itemTypes.add(furnitureShape.crop.output);
+        for (let recipe of furnitureShape.recipes) {
+            if (recipe.output) itemTypes.add(recipe.output);
+            for (let type of Object.keys(recipe.inputs)) itemTypes.add(type);
+        }
+        for (let type of Object.keys(furnitureShape.construction.materials)) itemTypes.add(type);
+    }
+    return Array.from(itemTypes);
+}
+
 const main = {
     /** @type {null | {cx: number, cy: number, ox: number, oy: number}} */
     dragState: null,
+    /** @type {null | {start: Position, end: Position}} - stockpile zone being dragged out */
+    zoneDrag: null,
     /** @type {{[key: string]: null | number}} */
     keyState: {
         // maps to either null if not being held or a timestamp if it is down
         // only keys in this map are tracked (and preventDefault-ed)
         r: null,
         f: null,
+        z: null,
+        b: null,
+        t: null,
     },
     // last known position of the pointer, in world coordinates
     pointerState: Pos(0, 0),
 
     init() {
-        simulation.init();
+        hooks.message = logMessage;
+        hooks.checkInvariants = new URLSearchParams(window.location.search).has('invariants');
+        // A seed in the url means the player wants that map, so
+        // only continue the autosave if it's the same map
+        const urlOptions = mapOptionsFromUrl();
+        try {
+            const autosave = saves.read('autosave');
+            if (autosave && (urlOptions.seed === undefined || urlOptions.seed === autosave.mapOptions?.seed)) {
+                loadColonySaveData(autosave);
+                logMessage("Loaded autosave");
+            } else {
+                createWorld(urlOptions);
+            }
+        } catch (e) {
+            logMessage(`Couldn't load autosave: ${e}`);
+            createWorld(urlOptions);
+        }
+        this.initSaveControls();
+        this.initPlannerControls();
+        this.initRunSummary();
+        this.initColonistPanel();
         this.render();
         this.loop();
 
@@ -1044,12 +967,181 @@ const main = {
         }
     },
 
-    /** @type {'stopped' | 'view' | 'room' | 'furniture'} */
+    initSaveControls() {
+        const select = /** @type {HTMLSelectElement} */(document.querySelector("#save-slot"));
+        const refreshSlots = () => {
+            const selected = select.value || saves.SLOTS[1];
+            select.innerHTML = saves.SLOTS.map((slot) =>
+                `<option value="${slot}">${saves.describe(slot)}</option>`).join("");
+            select.value = selected;
+            document.querySelector("#map-seed").textContent = `Seed ${colony.map.options.seed}`;
+        };
+        refreshSlots();
+
+        const actions = {
+            save() {
+                saves.save(select.value);
+                logMessage(`Saved to ${select.value}`);
+            },
+            load() {
+                if (saves.load(select.value)) logMessage(`Loaded ${select.value}`);
+                else logMessage(`Nothing saved in ${select.value}`);
+            },
+            export() {
+                saves.exportFile();
+            },
+            new() {
+                const seed = Math.floor(Math.random() * 1e6);
+                saves.clear('autosave');
+                createWorld({seed});
+                setUrlSeed(seed);
+                logMessage(`Started a new colony with seed ${seed}`);
+            },
+        };
+        for (let button of document.querySelectorAll("#save-controls button")) {
+            button.addEventListener('click', () => {
+                try {
+                    actions[/** @type {HTMLElement} */(button).dataset.action]();
+                } catch (e) {
+                    logMessage(`Error: ${e}`);
+                }
+                refreshSlots();
+                this.refreshPlannerControls();
+                this.render();
+            });
+        }
+
+        const fileInput = /** @type {HTMLInputElement} */(document.querySelector("#save-import"));
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            try {
+                await saves.importFile(file);
+                logMessage(`Imported ${file.name}`);
+            } catch (e) {
+                logMessage(`Couldn't import ${file.name}: ${e}`);
+            }
+            fileInput.value = "";
+            refreshSlots();
+            this.refreshPlannerControls();
+            this.render();
+        });
+    },
+
+    initRunSummary() {
+        const actions = {
+            continue() {
+                applyCommand({type: 'continue'});
+            },
+            new() {
+                // Same as the button in the save controls, which also
+                // updates the save slots and planner controls
+                /** @type {HTMLElement} */(document.querySelector("#save-controls [data-action=new]")).click();
+            },
+        };
+        for (let button of document.querySelectorAll("#run-summary button")) {
+            button.addEventListener('click', () => {
+                actions[/** @type {HTMLElement} */(button).dataset.action]();
+                canvas.focus();
+                this.render();
+            });
+        }
+    },
+
+    // The work priority grid is rebuilt whenever it changes, so the
+    // events are handled on the panel instead of on each button.
+    // Clicking a cell goes 1, 2, 3, 4, never; shift-click or right
+    // click goes the other way. With the keyboard, the arrow keys move
+    // between cells and 0-4 set the priority.
+    initColonistPanel() {
+        const panel = /** @type {HTMLElement} */(document.querySelector("#colonist-panel"));
+        const CYCLE = [...colony.WORK_LEVELS, 0];
+        /**
+         * @param {HTMLElement} cell
+         * @param {number} priority - 0 for never
+         */
+        const setPriority = (cell, priority) => {
+            const {colonist, work} = cell.dataset;
+            applyCommand({type: 'workPriority', colonist, work: /** @type {WorkType} */(work), priority});
+            this.render();
+        };
+        /**
+         * @param {EventTarget} target - a cell
+         * @param {number} direction - 1 or -1
+         */
+        const cycle = (target, direction) => {
+            const cell = /** @type {HTMLElement} */(target);
+            const colonist = colony.colonists.find((colonist) => colonist.id === cell.dataset.colonist);
+            if (!colonist) return;
+            const index = CYCLE.indexOf(colonist.workPriorities[cell.dataset.work]);
+            setPriority(cell, CYCLE[(index + direction + CYCLE.length) % CYCLE.length]);
+        };
+        const isCell = (target) => target instanceof HTMLButtonElement && target.dataset.work !== undefined;
+
+        panel.addEventListener('click', (event) => {
+            if (isCell(event.target)) cycle(event.target, event.shiftKey ? -1 : 1);
+        });
+        panel.addEventListener('contextmenu', (event) => {
+            if (!isCell(event.target)) return;
+            event.preventDefault();
+            cycle(event.target, -1);
+        });
+        panel.addEventListener('keydown', (event) => {
+            if (!isCell(event.target)) return;
+            const cell = /** @type {HTMLElement} */(event.target);
+            if (event.altKey || event.ctrlKey || event.metaKey) return;
+            const MOVES = {ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1]};
+            if (MOVES[event.key]) {
+                const [dr, dc] = MOVES[event.key];
+                const row = parseInt(cell.dataset.row) + dr, column = parseInt(cell.dataset.column) + dc;
+                /** @type {HTMLElement} */(panel.querySelector(`[data-row="${row}"][data-column="${column}"]`))?.focus();
+            } else if (event.key === 'Escape') {
+                canvas.focus();
+            } else if (/^[0-4]$/.test(event.key)) {
+                setPriority(cell, parseInt(event.key));
+            } else {
+                return;
+            }
+            event.preventDefault();
+        });
+    },
+
+    initPlannerControls() {
+        const select = /** @type {HTMLSelectElement} */(document.querySelector("#planner-mode"));
+        select.addEventListener('change', () => {
+            applyCommand({type: 'planner', mode: /** @type {PlannerMode} */(select.value)});
+        });
+
+        const targets = document.querySelector("#stockpile-targets");
+        targets.innerHTML = colonyItemTypes().map((type) =>
+            `<label>${type} <input type="number" min="0" max="99" data-item-type="${type}" /></label>`).join("");
+        for (let input of targets.querySelectorAll("input")) {
+            input.addEventListener('change', () => {
+                const itemType = /** @type {ItemType} */(input.dataset.itemType);
+                applyCommand({type: 'stockpile', itemType, target: Math.max(0, parseInt(input.value) || 0)});
+            });
+        }
+        this.refreshPlannerControls();
+    },
+
+    /** Show the simulation's planner settings, e.g. after loading */
+    refreshPlannerControls() {
+        /** @type {HTMLSelectElement} */(document.querySelector("#planner-mode")).value = colony.planner;
+        for (let input of document.querySelectorAll("#stockpile-targets input")) {
+            const {itemType} = /** @type {HTMLInputElement} */(input).dataset;
+            /** @type {HTMLInputElement} */(input).value = String(colony.stockpileTargets[itemType] ?? 0);
+        }
+    },
+
+    /** @type {'stopped' | 'view' | 'room' | 'furniture' | 'zone' | 'barricade' | 'trap'} */
     get uiMode() {
         if (!document.hasFocus())              return 'stopped';
         if (document.activeElement !== canvas) return 'stopped';
         if (this.keyState.r)                   return 'room';
         if (this.keyState.f)                   return 'furniture';
+        if (this.keyState.z)                   return 'zone';
+        if (this.keyState.b)                   return 'barricade';
+        if (this.keyState.t)                   return 'trap';
         return 'view';
     },
 
@@ -1104,30 +1196,73 @@ const main = {
     room_onClick(event) {
         if (event.button !== 0) return; // left button only
         // Unlock the room if it's locked
-        let room = unlockableRoomList(map).find((room) => positionInRoom(room, this.pointerState));
+        let room = colony.unlockableRooms().find((room) => positionInRoom(room, this.pointerState));
         if (!room) {
             console.log("Ignored - click on room, no room found");
             return;
         }
-        if (unlockableRoomList(map).indexOf(room) < 0) {
-            console.log("Ignored - click on room, room not unlockable");
-            return;
-        }
-        unlockRoom(map, room);
+        applyCommand({type: 'unlock', room: room.id});
         this.render();
     },
 
     furniture_onClick(event) {
         if (event.button !== 0) return; // left button only
         let pos = camera.convertCanvasToWorldCoord(convertPixelToCanvasCoord(event));
-        let room = unlockedRoomAtPosition(pos);
-        if (!room) return; // either invalid pos, or no room; TODO: show error message?
-        let positions = positionsOccupiedByFurniture(room, pos).values();
-        for (let p of positions) if (!isPositionInRoomBuildable(room, p)) return; // TODO: error message?
-        room.furniture.push(pos);
+        applyCommand({type: 'blueprint', pos: [pos.x, pos.y]});
+        this.render();
+    },
+
+    barricade_onClick(event) {
+        if (event.button !== 0) return; // left button only
+        let pos = camera.convertCanvasToWorldCoord(convertPixelToCanvasCoord(event));
+        applyCommand({type: 'defense', kind: 'barricade', pos: [pos.x, pos.y]});
+        this.render();
+    },
+
+    trap_onClick(event) {
+        if (event.button !== 0) return; // left button only
+        let pos = camera.convertCanvasToWorldCoord(convertPixelToCanvasCoord(event));
+        applyCommand({type: 'defense', kind: 'trap', pos: [pos.x, pos.y]});
         this.render();
     },
 
+    zone_onPointerDown(event) {
+        if (event.button !== 0) return; // left button only
+        let pos = camera.convertCanvasToWorldCoord(convertPixelToCanvasCoord(event));
+        this.zoneDrag = {start: pos, end: pos};
+        event.currentTarget.setPointerCapture(event.pointerId);
+    },
+
+    zone_onPointerMove(event) {
+        if (!this.zoneDrag) return;
+        this.zoneDrag.end = camera.convertCanvasToWorldCoord(convertPixelToCanvasCoord(event));
+        this.render();
+    },
+
+    zone_onPointerUp(_event) {
+        if (!this.zoneDrag) return;
+        const {start, end} = this.zoneDrag;
+        this.zoneDrag = null;
+        let zone = colony.zoneAt(start);
+        if (start.equals(end) && zone) {
+            // Clicking a zone cycles through its filters, then removes it
+            const filters = [null, ...colonyItemTypes().map((type) => [type])];
+            let next = filters.findIndex((filter) => String(filter) === String(zone.filter)) + 1;
+            if (next < filters.length) applyCommand({type: 'zoneFilter', zone: zone.id, filter: filters[next]});
+            else applyCommand({type: 'removeZone', zone: zone.id});
+        } else {
+            applyCommand({type: 'addZone', rect: {
+                left: Math.min(start.x, end.x), right: Math.max(start.x, end.x) + 1,
+                top: Math.min(start.y, end.y), bottom: Math.max(start.y, end.y) + 1,
+            }});
+        }
+        this.render();
+    },
+
+    zone_onPointerCancel(_event) {
+        this.zoneDrag = null;
+    },
+
     onBlur(_event) {
         // We can't track keys when we don't have focus, so assume they were released
         for (let key of Object.keys(this.keyState)) {
@@ -1144,7 +1279,7 @@ const main = {
         if (event.altKey || event.ctrlKey || event.metaKey) return;
         event.preventDefault();
         if (event.repeat) return;
-        this.keyState[event.key] = simulation.tickId;
+        this.keyState[event.key] = colony.tickId;
         this.render();
     },
 
@@ -1171,6 +1306,7 @@ const main = {
 
     loop() {
         render.highlightedRoom = null;
+        if (this.uiMode !== 'zone') this.zoneDrag = null; // released the key mid-drag
         switch (this.uiMode) {
         case 'stopped':
             render.cursor = 'wait';
@@ -1178,21 +1314,51 @@ const main = {
             break;
         case 'view':
             render.cursor = 'move';
-            simulation.simulate();
+            if (colony.outcome && !colony.outcome.continued) {
+                setMessage(`The run is over. Keep playing, or start a new colony.`);
+                break;
+            }
+            try {
+                step();
+            } catch (e) {
+                // Keep the game running, but make sure I notice
+                console.error(e);
+                logMessage(`Simulation error: ${e}`);
+            }
+            if (colony.tickId % saves.AUTOSAVE_TICKS === 0) saves.save('autosave');
             this.render();
-            setMessage(`R to unlock rooms, F to place furniture, or drag the mouse to scroll`);
+            setMessage(`R to unlock rooms, F to place furniture, Z for stockpiles, B for barricades, T for traps, or drag the mouse to scroll`);
             break;
         case 'room':
-            render.highlightedRoom = unlockableRoomList(map).find((room) => positionInRoom(room, this.pointerState));
+            render.highlightedRoom = colony.unlockableRooms().find((room) => positionInRoom(room, this.pointerState));
             render.cursor = render.highlightedRoom? 'pointer' : '';
             this.render();
-            setMessage("Click to unlock a room");
+            setMessage(render.highlightedRoom && !render.highlightedRoom.unlockOrder
+                       ? `Click to unlock this room (${depthDescription(render.highlightedRoom)}) for ${itemCountsToString(render.highlightedRoom.unlockCost)}`
+                       : "Click to unlock a room");
+            break;
+        case 'zone': {
+            render.cursor = 'crosshair';
+            this.render();
+            let zone = colony.zoneAt(this.pointerState);
+            setMessage(this.zoneDrag ? "Release to make a stockpile"
+                       : zone ? "Click to change what this stockpile takes, or drag to make another"
+                       : "Drag to make a stockpile");
             break;
+        }
+        case 'barricade':
+        case 'trap': {
+            render.cursor = 'crosshair';
+            this.render();
+            const {name, materials} = colony.DEFENSES[this.uiMode];
+            setMessage(`Click to place a ${name}, for ${itemCountsToString(materials)}`);
+            break;
+        }
         case 'furniture':
-            let room = unlockedRoomAtPosition(this.pointerState);
+            let room = colony.roomAt(this.pointerState);
             render.cursor = room?.unlocked ? 'crosshair' : 'no-drop';
             this.render();
-            let shape = roomCharacteristics[room?.type]?.furnitureShape;
+            let shape = colony.roomCharacteristics[room?.type]?.furnitureShape;
             let message = "Move mouse to where you want to build furniture";
             if (room && room.unlocked) {
                 if (shape) message = `Click to place ${shape.name} in ${room.type}`;
@@ -1202,7 +1368,7 @@ const main = {
             break;
         }
 
-        setTimeout(() => this.loop(), 1000/simulation.TICKS_PER_SECOND);
+        setTimeout(() => this.loop(), 1000/colony.TICKS_PER_SECOND);
     }
 }
 
@@ -9,23 +9,60 @@
 /// <reference path="types.d.ts"/>
 
 import {offgridCellToRect} from "./offgrid.js";
-import {lerp} from "./util.js";
+import {lerp, seededRandom} from "./util.js";
 
-const ROOM_START_LEFT = 20;
-
-/** @type {Room} */
-const WILDERNESS_ROOM = {
-    type: 'wilderness',
-    q: -1, r: NaN, hash: NaN,
-    rect: {top: -Infinity, bottom: Infinity, left: 0, right: ROOM_START_LEFT},
-    unlocked: true,
-    furniture: [],
+/** @type {MapOptions} */
+export const DEFAULT_MAP_OPTIONS = {
+    seed: 123456,
+    width: 100,
+    height: 60,
+    roomAverageWidth: 12,
+    roomAverageHeight: 5,
+    edge: 0.1, // offgrid parameter, 0.0 to 0.5
+    wildernessWidth: 20, // the rooms start to the right of this
 };
 
-function wildernessMap({x, y}) {
-    return x < 10 + 5 * Math.cos(y*0.1)
-        ? 'river'
-        : 'plains';
+/**
+ * The wilderness isn't a real room, but it's useful to treat
+ * it as one for doors and walkable tiles
+ * @param {MapOptions} options
+ * @returns {Room}
+ */
+function makeWildernessRoom(options) {
+    return {
+        id: 'wilderness',
+        type: 'wilderness',
+        q: -1, r: NaN, hash: NaN,
+        rect: {top: -Infinity, bottom: Infinity, left: 0, right: options.wildernessWidth},
+        unlocked: true,
+        unlockCost: {},
+        tier: 0,
+        hazard: null,
+        water: 0,
+        veins: [],
+        rubble: [],
+        unlockOrder: null,
+        excavating: false,
+        furniture: [],
+        blueprints: [],
+    };
+}
+
+/**
+ * The river curves through the wilderness; its phase comes from
+ * the seed so that different seeds get different rivers
+ * @param {MapOptions} options
+ * @returns {(pos: Position) => string}
+ */
+function makeWildernessMap({seed, wildernessWidth}) {
+    const center = wildernessWidth / 2;
+    const amplitude = wildernessWidth / 4;
+    const phase = (seed % 1000) / 1000 * 2 * Math.PI;
+    return function wildernessMap({x, y}) {
+        return x < center + amplitude * Math.cos(y*0.1 + phase)
+            ? 'river'
+            : 'plains';
+    };
 }
 
 /**
@@ -50,15 +87,176 @@ export function Pos(x, y) {
 }
 
 
+// Unlocking a room costs items, more for rooms that are
+// deeper (higher q) and larger
+const UNLOCK_COSTS = [
+    {type: 'rawfood', base: 2, perDepth: 1, perArea: 1/20},
+    {type: 'meal',    base: 0, perDepth: 1, perArea: 0},
+];
+
+// The further east, into the mountain, the harder it gets. Each column
+// of rooms is in a depth tier. Deeper tiers cost more to unlock and
+// take longer to dig out, but the rock has veins of ore in it, and
+// there are hazards:
+// - caveIn: every so often a door caves in, and has to be dug out again
+// - flooded: has to be pumped dry before it can be used
+// - dark: needs torches delivered with the rest of the unlock cost
+/** @type {DepthTier[]} */
+export const DEPTH_TIERS = [
+    {name: "foothills", fromQ: 0, effort: 1, orePerTile: 0, hazardChance: 0},
+    {name: "mountain", fromQ: 2, effort: 1.5, orePerTile: 0.08, hazardChance: 0.3},
+    {name: "deep", fromQ: 4, effort: 2, orePerTile: 0.2, hazardChance: 0.6},
+];
+/** @type {Hazard[]} */
+const HAZARDS = ['caveIn', 'flooded', 'dark'];
+const TORCHES_PER_TIER = 2;
+const WATER_PER_AREA = 1/8; // how many times the room has to be pumped
+
+/**
+ * @param {number} q
+ * @returns {number} index into DEPTH_TIERS
+ */
+function depthTier(q) {
+    return DEPTH_TIERS.findLastIndex(({fromQ}) => q >= fromQ);
+}
+
+/**
+ * @param {Room} room
+ * @returns {number} interior tiles
+ */
+function roomArea(room) {
+    const {width, height} = roomInteriorSize(room);
+    return width * height;
+}
+
+/**
+ * @param {Room} room - with its tier and hazard already assigned
+ * @returns {ItemCounts}
+ */
+function roomUnlockCost(room) {
+    const {effort} = DEPTH_TIERS[room.tier];
+    /** @type {ItemCounts} */
+    let cost = {};
+    for (let {type, base, perDepth, perArea} of UNLOCK_COSTS) {
+        let count = Math.round(effort * (base + perDepth * room.q + perArea * roomArea(room)));
+        if (count > 0) cost[type] = count;
+    }
+    if (room.hazard === 'dark') cost.torch = TORCHES_PER_TIER * room.tier;
+    return cost;
+}
+
+/**
+ * Give each room its depth tier, and from that its hazard, ore veins,
+ * and unlock cost. The random choices come from the seed, separately
+ * from the room hash that picks the room type.
+ * @param {Room[]} rooms
+ * @param {MapOptions} options
+ */
+function assignDepthTiers(rooms, {seed}) {
+    const random = seededRandom(seed + 1);
+    for (let room of rooms) {
+        room.tier = depthTier(room.q);
+        const {orePerTile, hazardChance} = DEPTH_TIERS[room.tier];
+        room.hazard = random() < hazardChance ? HAZARDS[Math.floor(random() * HAZARDS.length)] : null;
+        room.water = room.hazard === 'flooded' ? Math.ceil(roomArea(room) * WATER_PER_AREA) : 0;
+        room.veins = [];
+        const {rect} = room;
+        for (let y = rect.top + 1; y < rect.bottom; y++) {
+            for (let x = rect.left + 1; x < rect.right; x++) {
+                if (random() < orePerTile) room.veins.push(Pos(x, y));
+            }
+        }
+        room.unlockCost = roomUnlockCost(room);
+    }
+}
+
+const FALLBACK_ROOM_TYPE = 'open'; // for rooms that don't fit any other type
+
+/**
+ * @param {Room} room
+ * @returns {{width: number, height: number}} the size of the room's interior
+ */
+function roomInteriorSize(room) {
+    return {
+        width: room.rect.right - room.rect.left - 1,
+        height: room.rect.bottom - room.rect.top - 1,
+    };
+}
+
+/**
+ * @param {Room} room
+ * @param {RoomGeneration} generation
+ * @returns {boolean} whether the room's size is allowed for this room type
+ */
+function roomFitsType(room, {minSize, maxSize}) {
+    const {width, height} = roomInteriorSize(room);
+    return (!minSize || (width >= minSize[0] && height >= minSize[1]))
+        && (!maxSize || (width <= maxSize[0] && height <= maxSize[1]));
+}
+
+/**
+ * @param {RoomGeneration} generation
+ * @param {number} q - depth, 0 being next to the wilderness
+ * @returns {number}
+ */
+function roomTypeWeight({weightByDepth}, q) {
+    return weightByDepth[Math.min(q, weightByDepth.length - 1)];
+}
+
+/**
+ * Pick a type for each room, deterministically from the room hash.
+ *
+ * 1. Each room picks a weighted random type from the types that fit its size
+ * 2. The column next to the wilderness (q=0) gets at least the guaranteed
+ *    number of each type, by taking rooms from types that have extra
+ *
+ * @param {Room[]} rooms
+ * @param {{[type: string]: RoomGeneration}} roomTypes
+ */
+function assignRoomTypes(rooms, roomTypes) {
+    const typeNames = /** @type {RoomType[]} */(Object.keys(roomTypes));
+
+    for (let room of rooms) {
+        let candidates = typeNames
+            .filter((type) => roomFitsType(room, roomTypes[type]))
+            .map((type) => ({type, weight: roomTypeWeight(roomTypes[type], room.q)}))
+            .filter(({weight}) => weight > 0);
+        let total = candidates.reduce((sum, {weight}) => sum + weight, 0);
+        let threshold = room.hash * total;
+        room.type = FALLBACK_ROOM_TYPE;
+        for (let {type, weight} of candidates) {
+            room.type = type;
+            threshold -= weight;
+            if (threshold < 0) break;
+        }
+    }
+
+    const nearWilderness = rooms.filter((room) => room.q === 0)
+          .sort((a, b) => a.hash - b.hash);
+    const countNearWilderness = (type) => nearWilderness.filter((room) => room.type === type).length;
+    const minNearWilderness = (type) => roomTypes[type]?.minNearWilderness ?? 0;
+    for (let type of typeNames) {
+        while (countNearWilderness(type) < minNearWilderness(type)) {
+            let room = nearWilderness.find((room) =>
+                room.type !== type
+                && roomFitsType(room, roomTypes[type])
+                && countNearWilderness(room.type) > minNearWilderness(room.type));
+            if (!room) break; // can't satisfy the guarantee on this map
+            room.type = type;
+        }
+    }
+}
+
 /**
  * Generate the rooms of the map, without doors or furniture
  * @param {Rect} bounds - the map area
+ * @param {MapOptions} options
+ * @param {Room} wilderness
+ * @param {(pos: Position) => string} wildernessMap
+ * @param {{[type: string]: RoomGeneration}} roomTypes
  */
-function generateRooms(bounds) {
-    const SEED = 123456;
-    const EDGE = 0.1;
-    const ROOM_AVERAGE_WIDTH = 12;
-    const ROOM_AVERAGE_HEIGHT = 5;
+function generateRooms(bounds, options, wilderness, wildernessMap, roomTypes) {
+    const {seed, edge, roomAverageWidth, roomAverageHeight, wildernessWidth} = options;
     
     /** @type {Room[]} */
     let rooms = [];
@@ -71,39 +269,39 @@ function generateRooms(bounds) {
     let walkable = new Map();
     let wildernessEnds = new Map();
     for (let y = bounds.top; y < bounds.bottom; y++) {
-        wildernessEnds.set(y, bounds.left + ROOM_START_LEFT + ROOM_AVERAGE_WIDTH);
+        wildernessEnds.set(y, bounds.left + wildernessWidth + roomAverageWidth);
     }
 
-    const roomRows = Math.floor((bounds.bottom - bounds.top) / ROOM_AVERAGE_HEIGHT) - 1;
-    const roomCols = Math.floor((bounds.right - bounds.left - ROOM_START_LEFT) / ROOM_AVERAGE_WIDTH - 1);
+    const roomRows = Math.floor((bounds.bottom - bounds.top) / roomAverageHeight) - 1;
+    const roomCols = Math.floor((bounds.right - bounds.left - wildernessWidth) / roomAverageWidth - 1);
     for (let r = 0; r < roomRows; r++) {
         for (let q = 0; q < roomCols; q++) {
-            let offgrid = offgridCellToRect(q, r, SEED, EDGE);
+            let offgrid = offgridCellToRect(q, r, seed, edge);
             let rect = {
-                left: bounds.left + ROOM_START_LEFT + Math.round(offgrid.left * ROOM_AVERAGE_WIDTH),
-                right: bounds.left + ROOM_START_LEFT + Math.round(offgrid.right * ROOM_AVERAGE_WIDTH),
-                top: bounds.top + Math.round(offgrid.top * ROOM_AVERAGE_HEIGHT),
-                bottom: bounds.top + Math.round(offgrid.bottom * ROOM_AVERAGE_HEIGHT),
+                left: bounds.left + wildernessWidth + Math.round(offgrid.left * roomAverageWidth),
+                right: bounds.left + wildernessWidth + Math.round(offgrid.right * roomAverageWidth),
+                top: bounds.top + Math.round(offgrid.top * roomAverageHeight),
+                bottom: bounds.top + Math.round(offgrid.bottom * roomAverageHeight),
             };
             
-            // TODO: type should depend on 'q', hash, and room size
-            // (small rooms should have an 'empty' type and low cost to unlock)
-            /** @type{RoomType} */
-            let type = 'dining';
-            if (q >= 1) type = 'bedroom';
-            if (q >= 1 && r >= 1) type = ['kitchen', 'bedroom', 'farm'][r % 3];
-            if (q === 0 && r === 0) type = 'dining';
-            if (q === 0 && r === 1) type = 'farm';
-            if (q === 0 && r === 2) type = 'kitchen';
-            if (q === 0 && r === 3) type = 'bedroom';
-            if (rect.right - rect.left < 5 || rect.bottom - rect.top < 3) type = 'open';
+            /** @type{Room} */
             let room = {
-                type,
+                id: "r" + (rooms.length + 1),
+                type: FALLBACK_ROOM_TYPE, // assigned later, in assignRoomTypes()
                 q, r,
                 hash: offgrid.hash,
                 rect,
                 unlocked: false,
+                unlockCost: {}, // assigned later, in assignDepthTiers()
+                tier: 0,
+                hazard: null,
+                water: 0,
+                veins: [],
+                rubble: [],
+                unlockOrder: null,
+                excavating: false,
                 furniture: [],
+                blueprints: [],
             };
             rooms.push(room);
 
@@ -114,11 +312,14 @@ function generateRooms(bounds) {
         }
     }
 
+    assignRoomTypes(rooms, roomTypes);
+    assignDepthTiers(rooms, options);
+
     for (let y = bounds.top; y < bounds.bottom; y++) {
         for (let x = bounds.left; x < wildernessEnds.get(y); x++) {
             let pos = Pos(x, y);
             if (wildernessMap(pos) !== 'river') {
-                walkable.set(pos.toString(), {pos, in: WILDERNESS_ROOM});
+                walkable.set(pos.toString(), {pos, in: wilderness});
             }
         }
     }
@@ -132,8 +333,9 @@ function generateRooms(bounds) {
  * @param {number} roomRows - 
  * @param {number} roomCols - 
  * @param {Array<Room>} rooms - 
+ * @param {Room} wilderness - 
  */
-function addDoors(roomRows, roomCols, rooms) {
+function addDoors(roomRows, roomCols, rooms, wilderness) {
     // Underlying the offgrid rooms is an original grid with q,r
     // coordinates. Each room gets connected to the four rooms
     // adjacent to it on the original grid
@@ -150,7 +352,7 @@ function addDoors(roomRows, roomCols, rooms) {
             
             // Dig door on left, with the left column leading to the wilderness
             let leftRoom = roomAt(q-1, r);
-            if (!leftRoom) leftRoom = WILDERNESS_ROOM; // wilderness
+            if (!leftRoom) leftRoom = wilderness;
             let x = room.rect.left;
             let top = Math.max(room.rect.top, leftRoom.rect.top);
             let bottom = Math.min(room.rect.bottom, leftRoom.rect.bottom);
@@ -181,15 +383,59 @@ function addDoors(roomRows, roomCols, rooms) {
 }
 
 /**
+ * Scatter resource nodes (plants, trees, fishing spots) over the
+ * walkable wilderness. Each tile is either on the riverbank (next to
+ * the river) or out on the plains, and each kind of node has a chance
+ * of being on each tile of its terrain.
+ * @param {MapOptions} options
+ * @param {Map<string, {pos: Position, in: Room|Door}>} walkable
+ * @param {Room} wilderness
+ * @param {(pos: Position) => string} wildernessMap
+ * @param {{[kind: string]: ResourceGeneration}} resourceTypes
+ * @returns {ResourceNode[]}
+ */
+function generateResources(options, walkable, wilderness, wildernessMap, resourceTypes) {
+    const random = seededRandom(options.seed);
+    /** @type {ResourceNode[]} */
+    let nodes = [];
+    for (let {pos, in: room} of walkable.values()) {
+        if (room !== wilderness) continue;
+        const riverbank = [[1, 0], [-1, 0], [0, 1], [0, -1]].some(([dx, dy]) =>
+            wildernessMap(Pos(pos.x + dx, pos.y + dy)) === 'river');
+        const terrain = riverbank ? 'riverbank' : 'plains';
+        let r = random();
+        for (let [kind, {terrain: wants, chance, uses}] of Object.entries(resourceTypes)) {
+            if (wants !== terrain) continue;
+            r -= chance;
+            if (r < 0) {
+                nodes.push({kind, pos, uses, regrowAt: null});
+                break;
+            }
+        }
+    }
+    return nodes;
+}
+
+/**
+ * The same options (including the seed) always produce the same map
+ * @param {Partial<MapOptions>} [options] - anything missing is from DEFAULT_MAP_OPTIONS
+ * @param {{[type: string]: RoomGeneration}} [roomTypes] - which room types to generate, and where
+ * @param {{[kind: string]: ResourceGeneration}} [resourceTypes] - which wilderness resources, and where
  * @returns {GameMap}
  */
-export function generateMap() {
-    const bounds = {left: 0, right: 100, top: 0, bottom: 60};
+export function generateMap(options={}, roomTypes={}, resourceTypes={}) {
+    /** @type {MapOptions} */
+    const allOptions = {...DEFAULT_MAP_OPTIONS, ...options};
+    const bounds = {left: 0, right: allOptions.width, top: 0, bottom: allOptions.height};
+    const wilderness = makeWildernessRoom(allOptions);
+    const wildernessMap = makeWildernessMap(allOptions);
 
-    const {roomRows, roomCols, rooms, walkable, wildernessEnds} = generateRooms(bounds);
-    const {doors} = addDoors(roomRows, roomCols, rooms);
+    const {roomRows, roomCols, rooms, walkable, wildernessEnds} = generateRooms(bounds, allOptions, wilderness, wildernessMap, roomTypes);
+    const {doors} = addDoors(roomRows, roomCols, rooms, wilderness);
+    const resources = generateResources(allOptions, walkable, wilderness, wildernessMap, resourceTypes);
 
     return {
+        options: allOptions,
         bounds,
         tiles: {
             /**
@@ -205,9 +451,11 @@ export function generateMap() {
         },
         roomRows, roomCols,
         rooms,
+        wilderness,
         walkable,
         wildernessEnds,
         doors,
+        resources,
         items: [],
     };
 }
@@ -234,6 +482,87 @@ export function unlockRoom(map, room) {
     }
 }
 
+/**
+ * The walkable tile just outside a locked room's door, where
+ * colonists bring the items needed to unlock it
+ * @param {GameMap} map
+ * @param {Room} room
+ * @returns {Position | null}
+ */
+export function unlockDeliveryTile(map, room) {
+    for (let door of map.doors) {
+        let other = door.room1 === room ? door.room2 : door.room2 === room ? door.room1 : null;
+        if (!other?.unlocked) continue;
+        for (let [dx, dy] of [[-1, 0], [+1, 0], [0, -1], [0, +1]]) {
+            let pos = Pos(door.pos.x + dx, door.pos.y + dy);
+            if (map.walkable.get(pos.toString())?.in === other) return pos;
+        }
+    }
+    return null;
+}
+
+/**
+ * A room being excavated is dug out one tile at a time, starting from
+ * the doors to unlocked rooms. The tiles that can be dug next are
+ * the ones next to a walkable tile, which is where the digger stands.
+ * @param {GameMap} map
+ * @param {Room} room
+ * @returns {Array<{pos: Position, stand: Position, door: Door | null}>}
+ */
+export function excavationFrontier(map, room) {
+    /** @type {Array<{pos: Position, door: Door | null}>} */
+    let diggable = [];
+    for (let door of map.doors) {
+        let other = door.room1 === room ? door.room2 : door.room2 === room ? door.room1 : null;
+        if (other?.unlocked) diggable.push({pos: door.pos, door});
+    }
+    const {rect} = room;
+    for (let y = rect.top + 1; y < rect.bottom; y++) {
+        for (let x = rect.left + 1; x < rect.right; x++) {
+            diggable.push({pos: Pos(x, y), door: null});
+        }
+    }
+
+    let frontier = [];
+    for (let {pos, door} of diggable) {
+        if (map.walkable.has(pos.toString())) continue;
+        for (let [dx, dy] of [[-1, 0], [+1, 0], [0, -1], [0, +1]]) {
+            let stand = Pos(pos.x + dx, pos.y + dy);
+            if (map.walkable.has(stand.toString())) {
+                frontier.push({pos, stand, door});
+                break;
+            }
+        }
+    }
+    return frontier;
+}
+
+/**
+ * Make one tile of a room (or one of its doors) walkable
+ * @param {GameMap} map
+ * @param {Room} room
+ * @param {Position} pos
+ */
+export function excavateTile(map, room, pos) {
+    let door = Array.from(map.doors).find((door) => door.pos.equals(pos));
+    map.walkable.set(pos.toString(), {pos, in: door ?? room});
+}
+
+/**
+ * @param {GameMap} map
+ * @param {Room} room
+ * @returns {boolean} whether every interior tile has been dug out
+ */
+export function isRoomExcavated(map, room) {
+    const {rect} = room;
+    for (let y = rect.top + 1; y < rect.bottom; y++) {
+        for (let x = rect.left + 1; x < rect.right; x++) {
+            if (!map.walkable.has(tileId(x, y))) return false;
+        }
+    }
+    return true;
+}
+
 const UNLOCKABLE_ROOM_LIMIT = 3;
 /**
  * Unlockable rooms are connected to an unlocked
@@ -0,0 +1,4221 @@
+/*!
+ * From https://www.redblobgames.com/x/2327-roguelike-dev/
+ * Copyright 2023 Red Blob Games <redblobgames@gmail.com>
+ * @license Apache-2.0 <https://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * The colony simulation, without any dom or canvas, so that it can
+ * run in node too. The browser game in 2327-roguelike.js is a client
+ * of this module. The api is
+ *
+ *   createWorld(mapOptions) - start a new colony
+ *   createScenario(s)       - or one set up for a specific situation
+ *   step(n)                 - run n ticks
+ *   applyCommand(command)   - something the player wants to do
+ *   snapshot() / restore()  - json-compatible state, for saving
+ *   colony                  - read-only view of the state, for drawing
+ *
+ * There's only one world at a time, kept in module globals.
+ */
+
+/// <reference path="types.d.ts"/>
+
+import {Pos, DEPTH_TIERS, unlockRoom, unlockableRoomList, unlockDeliveryTile, excavationFrontier, excavateTile, isRoomExcavated, generateMap} from "./mapgen.js";
+import {setRandom, seededRandom, random, randRange} from "./util.js";
+
+/**
+ * The simulation doesn't know about the ui. It reports things that
+ * happen through these hooks, which the client can replace.
+ */
+export const hooks = {
+    /** @type {(str: string) => void} */
+    message(_str) {},
+    // Report broken invariants as messages. Slow, so the game only turns
+    // it on with ?invariants in the url.
+    checkInvariants: false,
+};
+
+/** @param {string} str */
+function logMessage(str) {
+    hooks.message(str);
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// Simulation
+
+export const roomCharacteristics = {
+    // map the room type to things we need to know about how the room works
+    wilderness: {
+        color: "hsl(100 30% 60%)",
+        // The wilderness has no furniture. Instead the map generator
+        // scatters resource nodes over it. Gathering from one uses it
+        // up, and it grows back one use at a time.
+        /** @type {{[kind: string]: WildResource}} */
+        resources: {
+            grass: {
+                name: "wild grass", sprite: 'grass', skill: 'farming',
+                generation: {terrain: 'plains', chance: 0.05, uses: 2},
+                recipe: {output: 'rawfood', inputs: {}, ticks: 30},
+                regrowTicks: 600,
+            },
+            tree: {
+                name: "tree", sprite: 'sprout', skill: 'farming', // forestry counts as farming
+                generation: {terrain: 'plains', chance: 0.03, uses: 3},
+                recipe: {output: 'wood', inputs: {}, ticks: 60, tools: {axe: 0.5}},
+                regrowTicks: 1800,
+            },
+            fishing: {
+                name: "fishing spot", sprite: 'fishing_pole', skill: 'farming',
+                generation: {terrain: 'riverbank', chance: 0.2, uses: 4},
+                recipe: {output: 'rawfood', inputs: {}, ticks: 50},
+                regrowTicks: 900,
+            },
+        },
+    },
+    open: {
+        color: "hsl(0 0% 40%)",
+        furnitureShape: null,
+        // Mostly the small rooms, which don't fit anything else
+        generation: {weightByDepth: [0.5]},
+    },
+    farm: {
+        generation: {minSize: [4, 2], weightByDepth: [3, 2, 1], minNearWilderness: 1},
+        furnitureShape: {
+            name: "field",
+            priority: 10,
+            skill: 'farming',
+            stand: Pos(0, 0),
+            inputs: [],
+            recipes: [], // fields grow crops instead, see crops
+            crop: {
+                output: 'rawfood',
+                growDays: 2, // of growing while watered
+                waterLastsDays: 0.5, // then it's dry and stops growing
+                diesAfterDays: 1, // of being dry
+                yield: {min: 1, max: 3}, // more with better care
+                work: {till: {ticks: 20}, plant: {ticks: 10}, water: {ticks: 5}, harvest: {ticks: 15}}, // ticks is how long the job takes
+            },
+            sprites: [{type: 'wheat', pos: Pos(0, 0)}],
+            construction: {materials: {}, ticks: 20, sprite: 'hand_saw'},
+        },
+    },
+    kitchen: {
+        generation: {minSize: [4, 2], weightByDepth: [2, 2, 1], minNearWilderness: 1},
+        furnitureShape: {
+            name: "stove",
+            priority: 11, // cooking prioritized over farming
+            skill: 'cooking',
+            stand: Pos(0, 1),
+            inputs: [{type: 'rawfood', pos: Pos(0, 0)}],
+            recipes: [{output: 'meal', inputs: {rawfood: 1}, ticks: 20}],
+            sprites: [{type: 'cooking_pot', pos: Pos(0, 0)}],
+            construction: {materials: {stone: 3}, ticks: 40, sprite: 'anvil_impact'},
+        },
+    },
+    bedroom: {
+        generation: {minSize: [4, 2], weightByDepth: [2, 3, 2], minNearWilderness: 1},
+        furnitureShape: {
+            name: "bed",
+            priority: 20, // basic needs are higher priority jobs, run first
+            stand: Pos(0, 0),
+            inputs: [],
+            // 8 hours of sleep means 200 ticks from TICKS_PER_DAY
+            recipes: [{output: null, inputs: {}, ticks: 160}],
+            sprites: [{type: 'bed', pos: Pos(0, 0)}],
+            restores: {need: 'fatigue', amount: 1},
+            comfort: 1,
+            construction: {materials: {stone: 2}, ticks: 40, sprite: 'hand_saw'},
+        },
+    },
+    dining: {
+        generation: {minSize: [4, 2], weightByDepth: [3, 1, 0.5], minNearWilderness: 1},
+        furnitureShape: {
+            name: "table",
+            priority: 21,
+            stand: Pos(0, 1),
+            inputs: [{type: 'meal', pos: Pos(0, 0)}],
+            recipes: [{output: null, inputs: {meal: 1}, ticks: 20}],
+            sprites: [{type: 'table', pos: Pos(0, 0)}],
+            restores: {need: 'hunger', amount: 0.6},
+            comfort: 1,
+            construction: {materials: {stone: 2}, ticks: 30, sprite: 'hand_saw'},
+        },
+    },
+    lumber_camp: {
+        // The trees in the wilderness run out and take a long time to
+        // grow back, so this is the steady supply of wood
+        generation: {minSize: [3, 2], weightByDepth: [1, 0], minNearWilderness: 1},
+        furnitureShape: {
+            name: "chopping block",
+            priority: 6,
+            skill: 'farming',
+            stand: Pos(0, 1),
+            inputs: [],
+            recipes: [{output: 'wood', inputs: {}, ticks: 40, tools: {axe: 0.5}}],
+            sprites: [{type: 'sprout', pos: Pos(0, 0)}],
+            construction: {materials: {}, ticks: 20, sprite: 'hand_saw'},
+        },
+    },
+    mine: {
+        // Ore is only found deeper in the mountain
+        generation: {minSize: [3, 2], weightByDepth: [0, 1, 2]},
+        furnitureShape: {
+            name: "ore vein",
+            priority: 7,
+            skill: 'digging',
+            stand: Pos(0, 1),
+            inputs: [],
+            recipes: [{output: 'iron_ore', inputs: {}, ticks: 50, tools: {pick: 0.5}}],
+            sprites: [{type: 'mining', pos: Pos(0, 0)}],
+            construction: {materials: {wood: 2}, ticks: 40, sprite: 'digdug'},
+        },
+    },
+    smelter: {
+        generation: {minSize: [4, 2], weightByDepth: [0, 1, 1]},
+        furnitureShape: {
+            name: "furnace",
+            priority: 8, // like cooking, processing goes before gathering
+            skill: 'crafting',
+            stand: Pos(0, 1),
+            inputs: [
+                {type: 'iron_ore', pos: Pos(0, 0)},
+                {type: 'wood', pos: Pos(1, 0)}, // fuel
+            ],
+            recipes: [{output: 'iron', inputs: {iron_ore: 2, wood: 1}, ticks: 40}],
+            sprites: [{type: 'cooking_pot', pos: Pos(0, 0)}],
+            construction: {materials: {stone: 4}, ticks: 60, sprite: 'anvil_impact'},
+        },
+    },
+    tool_shop: {
+        generation: {minSize: [4, 3], weightByDepth: [0, 0.5, 1]},
+        furnitureShape: {
+            name: "crafting",
+            priority: 9,
+            skill: 'crafting',
+            stand: Pos(0, 1),
+            inputs: [
+                {type: 'iron', pos: Pos(-1, 0)},
+                {type: 'wood', pos: Pos(0, -1)},
+            ],
+            recipes: [
+                {output: 'axe', inputs: {iron: 1, wood: 2}, ticks: 60},
+                {output: 'pick', inputs: {iron: 2, wood: 1}, ticks: 60},
+                {output: 'torch', inputs: {wood: 1}, ticks: 15}, // for dark rooms
+            ],
+            sprites: [{type: 'anvil_impact', pos: Pos(0, 0)}],
+            construction: {materials: {stone: 2}, ticks: 60, sprite: 'anvil_impact'},
+        },
+    },
+};
+
+/**
+ * Can a recipe be made with the items on the furniture's input tiles?
+ * Each input tile holds one item type, so a recipe can't use the same
+ * type from two tiles.
+ * @param {FurnitureShape} shape
+ * @param {Recipe} recipe
+ * @param {number[]} inputCounts - in the same order as shape.inputs
+ * @returns {boolean}
+ */
+function recipeIsLoaded(shape, recipe, inputCounts) {
+    return shape.inputs.every((input, i) => inputCounts[i] >= (recipe.inputs[input.type] ?? 0));
+}
+
+/**
+ * @param {Job} job - a production or gather job
+ * @returns {Recipe}
+ */
+function jobRecipe(job) {
+    if (job.type === 'gather') return jobResource(job).recipe;
+    return roomCharacteristics[job.room.type].furnitureShape.recipes[job.recipe ?? 0];
+}
+
+/**
+ * @param {Position} pos
+ * @returns {ResourceNode | undefined}
+ */
+export function resourceAt(pos) {
+    return map.resources.find((node) => node.pos.equals(pos));
+}
+
+/**
+ * @param {Job} job - a gather job
+ * @returns {WildResource}
+ */
+function jobResource(job) {
+    return roomCharacteristics.wilderness.resources[resourceAt(job.furniture).kind];
+}
+
+/**
+ * Resource nodes that have been used get one use back every so often
+ */
+function regrowResources() {
+    for (let node of map.resources) {
+        const {generation, regrowTicks} = roomCharacteristics.wilderness.resources[node.kind];
+        if (node.uses >= generation.uses) {
+            node.regrowAt = null;
+        } else if (node.regrowAt === null) {
+            node.regrowAt = simulation.tickId + regrowTicks;
+        } else if (simulation.tickId >= node.regrowAt) {
+            node.uses++;
+            node.regrowAt = null;
+        }
+    }
+}
+
+/**
+ * Tools make some work faster while a colonist has one in hand
+ * @returns {Set<ItemType>} every item type that's used as a tool
+ */
+function toolTypes() {
+    let types = new Set(Object.keys(jobs.EXCAVATE_TOOLS));
+    for (let {furnitureShape} of Object.values(roomCharacteristics)) {
+        for (let recipe of furnitureShape?.recipes ?? []) {
+            for (let type of Object.keys(recipe.tools ?? {})) types.add(type);
+        }
+    }
+    return /** @type {Set<ItemType>} */(types);
+}
+
+/**
+ * The wilderness resources that the map generator can place
+ * @returns {{[kind: string]: ResourceGeneration}}
+ */
+function resourceGenerationTable() {
+    /** @type {{[kind: string]: ResourceGeneration}} */
+    let table = {};
+    for (let [kind, resource] of Object.entries(roomCharacteristics.wilderness.resources)) {
+        table[kind] = resource.generation;
+    }
+    return table;
+}
+
+/**
+ * The room types that the map generator can place
+ * @returns {{[type: string]: RoomGeneration}}
+ */
+function roomGenerationTable() {
+    /** @type {{[type: string]: RoomGeneration}} */
+    let table = {};
+    for (let [type, characteristics] of Object.entries(roomCharacteristics)) {
+        if (characteristics.generation) table[type] = characteristics.generation;
+    }
+    return table;
+}
+
+/**
+ * Is a position within the bounds of a room?
+ * @param {ReadonlyDeep<Room>} room
+ * @param {Position} pos
+ * @returns {boolean}
+ */
+export function positionInRoom(room, pos) {
+    return room.rect.left+1 <= pos.x && pos.x < room.rect.right
+        && room.rect.top+1 <= pos.y && pos.y < room.rect.bottom;
+}
+
+/**
+ * Is there an already-unlocked room at a given position?
+ * @param {Position} pos
+ * @returns {Room?}
+ */
+export function unlockedRoomAtPosition(pos) {
+    let roomOrDoor = map.walkable.get(pos.toString())?.in;
+    return (roomOrDoor && 'type' in roomOrDoor) ? roomOrDoor : undefined;
+}
+
+/**
+ * For a given room, calculate which positions would be occupied by a piece of furniture
+ * @param {ReadonlyDeep<Room>} room
+ * @param {Position} pos
+ * @returns {Map<string, Position>} - a Map instead of a Set because of lack of value types in JS
+ */
+export function positionsOccupiedByFurniture(room, pos) {
+    /** @type{Map<string, Position>} */
+    let result = new Map();
+    function add(relativeCoord) {
+        if (relativeCoord) {
+            let worldCoord = Pos(relativeCoord.x + pos.x, relativeCoord.y + pos.y);
+            result.set(worldCoord.toString(), worldCoord);
+        }
+    }
+
+    const shape = roomCharacteristics[room.type].furnitureShape;
+    if (shape) {
+        add(shape.stand);
+        for (let v of shape.inputs) add(v.pos);
+        for (let v of shape.sprites) add(v.pos);
+    }
+    return result;
+}
+
+
+/**
+ * Built furniture and blueprints for furniture both take up space
+ * @param {Room} room
+ * @returns {Position[]}
+ */
+function allFurniturePositions(room) {
+    return [...room.furniture, ...room.blueprints.map((blueprint) => blueprint.pos)];
+}
+
+/**
+ * Is a given position open (buildable) in a room?
+ * @param {Room} room
+ * @param {Position} pos
+ * @returns {boolean}
+ */
+export function isPositionInRoomBuildable(room, pos) {
+    // It needs to be in an unlocked room
+    if (!room.unlocked) return false;
+    if (!positionInRoom(room, pos)) return false;
+    // and it can't overlap with any furniture already in the room
+    for (let f of allFurniturePositions(room)) {
+        for (let p of positionsOccupiedByFurniture(room, f).values()) {
+            if (pos.equals(p)) return false;
+        }
+    }
+    if (jobs.lookupDest(pos)) return false;
+    if (findItemOnTile(pos)) return false;
+    // TODO: there needs to be a remaining open tile in the room!! otherwise
+    // there's no place to store anything, and the room fails
+    return true;
+}
+
+
+export class Colonist {
+    static _id = 0;
+    static CARRY_CAPACITY = 3;
+    /** @type {ColonistState[]} - can be entered from any state, and have no job */
+    static INTERRUPT_STATES = ['collapsed', 'fleeing', 'fighting'];
+
+    /**
+     * @param {Position} pos
+     * @param {string} [id] - only when restoring a saved colonist
+     */
+    constructor(pos, id=undefined) {
+        /** @type {string} */
+        this.id = id ?? "c" + (++Colonist._id);
+        /** @type {Position} */
+        this.pos = pos;
+        /** @type {Position[]} - reverse order of tiles to visit */
+        this.path = [];
+        /** @type {Needs} - see the needs section */
+        this.needs = {hunger: 0, fatigue: 0, mood: 1};
+        /** @type {number} - see the combat section */
+        this.health = combat.COLONIST_HEALTH;
+        /** @type {Skills} - see the skills section */
+        this.skills = skills.none();
+        /** @type {WorkPriorities} - see the work types section */
+        this.workPriorities = workTypes.defaults();
+        /** @type {Item | null} - can hold one stack, see carryCapacity() */
+        this.inventory = null;
+        /** @type {Item | null} - kept in hand while working, see jobWorkTicks() */
+        this.tool = null;
+        /** @type {ColonistState} */
+        this.state = 'idle';
+    }
+
+    /**
+     * How many items of one type the colonist can carry at once
+     * @returns {number}
+     */
+    carryCapacity() {
+        return Colonist.CARRY_CAPACITY + Math.floor(skills.level(this, 'hauling') / skills.LEVELS_PER_CARRY);
+    }
+
+    /**
+     * Set the path to a goal
+     * @param {Position} goal
+     * @returns {boolean} false if the goal is unreachable
+     */
+    walkTo(goal) {
+        let path = findPath(map, this.pos, goal);
+        this.path = path ?? [];
+        return path !== null;
+    }
+
+    /**
+     * The job's target is unreachable. Give up on the job, and don't
+     * let anyone try that target again for a while.
+     * @param {Job} job
+     * @param {string} key - item id or position, see jobs.markUnreachable()
+     * @param {string} description - for the message log
+     */
+    abandonJob(job, key, description) {
+        jobs.markUnreachable(key);
+        logMessage(`${this.id} can't reach ${description}, giving up on ${job.type} job ${job.id}`);
+        this.setState('idle', job);
+        jobs.deleteJob(job);
+    }
+
+    /**
+     * The items we're carrying can't go to the job's destination, so
+     * drop them at the nearest open tile instead
+     * @param {Job} job
+     * @param {string} why - for the message log
+     */
+    dropNearby(job, why) {
+        const {type, count} = this.inventory;
+        let tile = stockpiles.findTile(type, this.pos) ?? findNearestOpenTile(this.pos, type);
+        logMessage(`${this.id} ${why} with ${count} ${type}, dropping at ${tile ?? 'nowhere'}`);
+        if (!tile) return; // try again next tick
+        job.dest = tile;
+        job.order = undefined;
+        this.setState('carrying', job);
+    }
+
+    /**
+     * Something more urgent came up, like being too tired to go on, or
+     * a creature; drop everything, including the job
+     * @param {ColonistState} state - one of INTERRUPT_STATES
+     * @param {string} why - for the message log
+     */
+    interrupt(state, why) {
+        let job = jobs.lookupColonist(this);
+        logMessage(`${this.id} ${why} at ${this.pos}`);
+        if (this.inventory) itemDropNearby(this, this.inventory);
+        this.path = [];
+        this.setState(state, job);
+        if (job) jobs.deleteJob(job);
+    }
+
+    /**
+     * Stay on this tile for a while, the same way slow tiles are
+     * repeated in a path
+     * @param {number} ticks
+     */
+    wait(ticks) {
+        this.path = Array(ticks).fill(this.pos);
+    }
+
+    /**
+     * Leave the current state and enter a new one, running the exit and
+     * enter hooks. Illegal transitions are reported but still happen, so
+     * that the state keeps matching what the colonist is actually doing.
+     * @param {ColonistState} state
+     * @param {Job | null} job
+     */
+    setState(state, job) {
+        const from = colonistStates[this.state];
+        if (!Colonist.INTERRUPT_STATES.includes(state) && !from.next.includes(state)) {
+            reportViolation(this, job, `illegal transition ${this.state} -> ${state}`);
+        }
+        from.exit?.(this, job);
+        this.state = state;
+        colonistStates[state].enter?.(this, job);
+    }
+
+    simulate() {
+        if (this.path.length > 0) {
+            // If there's a path, we'll move one step closer to the goal
+            this.pos = this.path.pop();
+            return;
+        }
+
+        let job = jobs.lookupColonist(this);
+        if (this.state !== 'idle' && !Colonist.INTERRUPT_STATES.includes(this.state) && !job) {
+            reportViolation(this, null, `in state ${this.state} without a job`);
+            if (this.inventory) itemDropNearby(this, this.inventory);
+            this.state = 'idle';
+            return;
+        }
+        colonistStates[this.state].step(this, job);
+    }
+}
+
+/**
+ * The colonist's state machine. Each state lists which states can come
+ * next, and has optional enter/exit hooks. step() runs on every tick the
+ * colonist isn't walking, so for the walking states it means "arrived".
+ *
+ * An idle colonist can still be walking, to get out of the way after
+ * finishing a job. A colonist can collapse, flee, or fight from any
+ * state, without a job, see Colonist.interrupt(). The other states
+ * always have a job.
+ *
+ * @type {Record<ColonistState, {
+ *     next: ColonistState[];
+ *     enter?: (colonist: Colonist, job: Job | null) => void;
+ *     exit?: (colonist: Colonist, job: Job | null) => void;
+ *     step: (colonist: Colonist, job: Job | null) => void;
+ * }>}
+ */
+const colonistStates = {
+    'idle': {
+        next: ['walking-to-item', 'walking-to-stand'],
+        step(colonist, job) {
+            if (!job) return;
+            colonist.setState(job.type === 'transport' || job.type === 'equip' ? 'walking-to-item' : 'walking-to-stand', job);
+        },
+    },
+    'walking-to-item': {
+        next: ['carrying', 'walking-to-item', 'idle'], // walking again if the item isn't there
+        enter(colonist, job) {
+            if (!isItemPosOnGround(job.item.pos)) {
+                reportViolation(colonist, job, `item ${job.item.id} should be on the ground`);
+                colonist.setState('idle', job);
+                jobs.deleteJob(job);
+            } else if (!colonist.walkTo(job.item.pos)) {
+                colonist.abandonJob(job, job.item.id, `${job.item.type} ${job.item.id} at ${job.item.pos}`);
+            }
+        },
+        step(colonist, job) {
+            if (!isItemPosOnGround(job.item.pos) || !colonist.pos.equals(job.item.pos)) {
+                // Shouldn't happen, but walking there again is harmless
+                reportViolation(colonist, job, `expected item ${job.item.id} at ${colonist.pos}`);
+                colonist.setState('walking-to-item', job);
+                return;
+            }
+            if (job.type === 'equip') {
+                itemEquip(colonist, job.item);
+                colonist.setState('idle', job);
+                jobs.deleteJob(job);
+                return;
+            }
+            let count = Math.min(job.count ?? 1, job.item.count, colonist.carryCapacity());
+            job.item = itemPickUp(colonist, job.item, count);
+            colonist.setState('carrying', job);
+        },
+    },
+    'walking-to-stand': {
+        next: ['working', 'idle'],
+        enter(colonist, job) {
+            if (!colonist.walkTo(job.stand)) {
+                colonist.abandonJob(job, job.stand.toString(), jobTargetDescription(job));
+            }
+        },
+        step(colonist, job) {
+            colonist.setState('working', job);
+        },
+    },
+    'working': {
+        next: ['carrying', 'idle'],
+        enter(colonist, job) {
+            job.timeStarted = simulation.tickId;
+            job.timeCompleted = simulation.tickId + jobWorkTicks(job);
+        },
+        exit(colonist, job) {
+            job.timeStarted = null;
+            job.timeCompleted = null;
+        },
+        step(colonist, job) {
+            if (simulation.tickId < job.timeCompleted) return; // still working
+            const skill = skills.forJob(job);
+            skills.practice(colonist, skill);
+            if (job.type === 'production') {
+                const {furnitureShape} = roomCharacteristics[job.room.type];
+                const recipe = jobRecipe(job);
+                for (let input of furnitureShape.inputs) {
+                    if (!recipe.inputs[input.type]) continue;
+                    let item = findItemOnTile(
+                        Pos(job.furniture.x + input.pos.x,
+                            job.furniture.y + input.pos.y));
+                    itemConsume(item, recipe.inputs[input.type]);
+                }
+                if (furnitureShape.restores) {
+                    needs.restore(colonist, furnitureShape.restores, needs.quality(furnitureShape, recipe));
+                }
+                if (recipe.output) {
+                    // Create the output item, and associate it with
+                    // the job so nobody else tries to use it yet.
+                    if (job.item) reportViolation(colonist, job, "production job already has an item");
+                    job.item = itemCreate(recipe.output, colonist, 1 + skills.bonusItems(colonist, skill));
+                    colonist.setState('carrying', job);
+                    return;
+                }
+            } else if (job.type === 'gather') {
+                // Uses up some of the resource, which grows back later
+                let node = resourceAt(job.furniture);
+                if (node.uses <= 0) reportViolation(colonist, job, `gathering from used up ${node.kind} at ${node.pos}`);
+                node.uses--;
+                job.item = itemCreate(jobRecipe(job).output, colonist, 1 + skills.bonusItems(colonist, skill));
+                colonist.setState('carrying', job);
+                return;
+            } else if (job.type === 'tend') {
+                const {crop} = roomCharacteristics[job.room.type].furnitureShape;
+                let field = crops.field(job.furniture);
+                switch (job.work) {
+                    case 'till':
+                        Object.assign(field, {stage: 'tilled', growth: 0, plantedAt: null, wateredAt: null});
+                        break;
+                    case 'plant':
+                        Object.assign(field, {stage: 'planted', plantedAt: simulation.tickId});
+                        break;
+                    case 'water':
+                        field.wateredAt = simulation.tickId;
+                        break;
+                    case 'harvest': {
+                        // A good harvest can be more than the colonist can
+                        // carry; the rest is left next to the field, to be
+                        // hauled away like any other loose items
+                        let count = crops.harvestYield(crop, field) + skills.bonusItems(colonist, skill);
+                        let carried = Math.min(count, colonist.carryCapacity());
+                        field.stage = 'untilled';
+                        job.item = itemCreate(crop.output, colonist, carried);
+                        if (itemCreateNearby(crop.output, colonist.pos, count - carried) > 0) {
+                            logMessage(`${colonist.id} had nowhere to put the rest of the ${crop.output} harvested at ${job.furniture}`);
+                        }
+                        colonist.setState('carrying', job);
+                        return;
+                    }
+                }
+            } else if (job.type === 'construct') {
+                // The furniture is built, and usable from now on
+                let blueprint = job.room.blueprints.find((blueprint) => blueprint.pos.equals(job.furniture));
+                job.room.blueprints.splice(job.room.blueprints.indexOf(blueprint), 1);
+                job.room.furniture.push(blueprint.pos);
+            } else if (job.type === 'excavate') {
+                // The tile is dug out; some of the rock is left behind as
+                // stone, or ore if the tile is in a vein
+                excavateTile(map, job.room, job.dest);
+                job.room.rubble = job.room.rubble.filter((pos) => !pos.equals(job.dest));
+                if (job.room.veins.some((pos) => pos.equals(job.dest))) {
+                    itemCreateOnGround('iron_ore', job.dest);
+                } else if (positionInRoom(job.room, job.dest)
+                    && (job.dest.x + 2 * job.dest.y) % jobs.EXCAVATE_TILES_PER_STONE === 0) {
+                    itemCreateOnGround('stone', job.dest);
+                }
+            } else if (job.type === 'fortify') {
+                let defense = combat.defenseAt(job.furniture);
+                defense.built = true;
+                logMessage(`Built a ${combat.DEFENSES[defense.kind].name} at ${defense.pos}`);
+            } else if (job.type === 'pump') {
+                job.room.water--;
+                if (job.room.water === 0) logMessage(`Pumped the ${job.room.type} room at ${job.stand} dry`);
+            }
+            colonist.setState('idle', job);
+            jobs.deleteJob(job);
+            // The colonist will still walk somewhere so they don't block
+            // the furniture, but the job itself is done so the furniture
+            // can be used by someone else. Excavation has no such tile.
+            if (job.type !== 'excavate') colonist.walkTo(job.dest);
+        },
+    },
+    'carrying': {
+        next: ['delivering', 'carrying'], // carrying again when redirected
+        enter(colonist, job) {
+            if (!colonist.walkTo(job.dest)) {
+                jobs.markUnreachable(job.dest.toString());
+                colonist.dropNearby(job, `can't reach ${job.dest}`);
+            }
+        },
+        step(colonist, job) {
+            if (!colonist.pos.equals(job.dest)) {
+                // dropNearby() didn't find a tile last time; try again
+                colonist.setState('carrying', job);
+                return;
+            }
+            colonist.setState('delivering', job);
+        },
+    },
+    'delivering': {
+        next: ['idle', 'carrying'], // carrying the leftovers somewhere else
+        step(colonist, job) {
+            // Drop the items, or hand them over if they're going to an
+            // order instead of a tile. Someone else may have filled the
+            // tile or the order first, and then there are leftovers.
+            let done = job.order
+                ? itemDeliver(colonist, colonist.inventory, job.order)
+                : itemDrop(colonist, colonist.inventory);
+            if (!done) {
+                colonist.dropNearby(job, job.order ? `has leftovers for the order` : `found ${job.dest} full`);
+                return;
+            }
+            if (job.type === 'transport') skills.practice(colonist, 'hauling');
+            colonist.setState('idle', job);
+            jobs.deleteJob(job);
+        },
+    },
+    'collapsed': {
+        next: ['idle'],
+        step(colonist, _job) {
+            colonist.needs.fatigue -= 1 / needs.COLLAPSE_TICKS;
+            if (colonist.needs.fatigue > 0) return;
+            colonist.needs.fatigue = 0;
+            needs.changeMood(colonist, needs.FLOOR_COMFORT);
+            logMessage(`${colonist.id} woke up on the floor at ${colonist.pos}`);
+            colonist.setState('idle', null);
+        },
+    },
+    'fighting': {
+        next: ['idle', 'fleeing'],
+        step(colonist, _job) {
+            let creature = combat.nearestCreature(colonist.pos, combat.THREAT_RANGE);
+            if (!creature) {
+                colonist.setState('idle', null);
+                return;
+            }
+            if (colonist.health <= combat.FLEE_HEALTH) {
+                logMessage(`${colonist.id} is hurt and runs from the ${combat.CREATURES[creature.kind].name}`);
+                colonist.setState('fleeing', null);
+                return;
+            }
+            if (manhattanDistance(colonist.pos, creature.pos) <= 1) {
+                combat.hurtCreature(creature, combat.WEAPON_DAMAGE[colonist.tool?.type] ?? 1, colonist.id);
+                colonist.wait(combat.ATTACK_TICKS);
+            } else if (colonist.walkTo(creature.pos)) {
+                colonist.path = colonist.path.slice(-2); // it moves, so keep aiming
+            } else {
+                colonist.setState('fleeing', null); // can't get at it
+            }
+        },
+    },
+    'fleeing': {
+        next: ['idle'],
+        step(colonist, _job) {
+            // Get well away, so as not to wander right back into it
+            let creature = combat.nearestCreature(colonist.pos, 2 * combat.THREAT_RANGE);
+            if (!creature) {
+                colonist.setState('idle', null);
+                return;
+            }
+            let tile = combat.fleeTile(colonist.pos, creature.pos);
+            if (tile && colonist.walkTo(tile)) colonist.path = colonist.path.slice(-3);
+            else colonist.wait(combat.REPATH_TICKS); // cornered
+        },
+    },
+};
+
+/**
+ * How long the working state lasts for a job, which is shorter if the
+ * colonist has the right tool
+ * @param {Job} job
+ * @returns {number}
+ */
+function jobWorkTicks(job) {
+    const {furnitureShape} = roomCharacteristics[job.room.type];
+    const tool = job.colonist.tool?.type;
+    // Eating and sleeping take as long as they take
+    const slow = job.type === 'production' && furnitureShape.restores ? 1
+        : needs.workMultiplier(job.colonist) * skills.workMultiplier(job.colonist, skills.forJob(job));
+    switch (job.type) {
+        case 'production':
+        case 'gather': {
+            const {ticks, tools} = jobRecipe(job);
+            return Math.round(ticks * (tools?.[tool] ?? 1) * slow);
+        }
+        case 'construct': return Math.round(furnitureShape.construction.ticks * slow);
+        case 'tend': return Math.round(furnitureShape.crop.work[job.work].ticks * slow);
+        case 'excavate': {
+            const {effort} = DEPTH_TIERS[job.room.tier];
+            return Math.round(jobs.EXCAVATE_TICKS * effort * (jobs.EXCAVATE_TOOLS[tool] ?? 1) * slow);
+        }
+        case 'pump': return Math.round(hazards.PUMP_TICKS * slow);
+        case 'fortify': return Math.round(combat.DEFENSES[combat.defenseAt(job.furniture).kind].ticks * slow);
+        default: throw `Job type ${job.type} has no work`;
+    }
+}
+
+/**
+ * How much of the work is done. The work ticks depend on the colonist
+ * doing it, so this goes by when they started rather than the ticks
+ * in roomCharacteristics.
+ * @param {Job} job
+ * @returns {number} 0 to 1, and 0 when nobody's working on it yet
+ */
+export function jobProgress(job) {
+    if (!job.timeCompleted || !job.timeStarted) return 0;
+    return (simulation.tickId - job.timeStarted) / (job.timeCompleted - job.timeStarted);
+}
+
+/**
+ * @param {Job} job
+ * @returns {string} what the colonist is walking to, for the message log
+ */
+function jobTargetDescription(job) {
+    const {furnitureShape} = roomCharacteristics[job.room.type];
+    switch (job.type) {
+        case 'production': return `${furnitureShape.name} at ${job.stand}`;
+        case 'construct': return `${furnitureShape.name} blueprint at ${job.stand}`;
+        case 'excavate': return `rock at ${job.dest}`;
+        case 'pump': return `water at ${job.stand}`;
+        case 'fortify': return `${combat.DEFENSES[combat.defenseAt(job.furniture).kind].name} at ${job.stand}`;
+        case 'gather': return `${jobResource(job).name} at ${job.stand}`;
+        case 'tend': return `${furnitureShape.name} at ${job.stand} to ${job.work}`;
+        default: return `${job.stand}`;
+    }
+}
+
+/**
+ * Older saves don't have the colonist state, so work it out from the
+ * job the way Colonist.simulate() used to
+ * @param {Colonist} colonist
+ * @param {Job | undefined} job
+ * @returns {ColonistState}
+ */
+function inferColonistState(colonist, job) {
+    if (!job) return 'idle';
+    if (colonist.inventory) return 'carrying';
+    if (job.type === 'transport' || job.type === 'equip') return 'walking-to-item';
+    if (job.timeCompleted) return 'working';
+    return 'walking-to-stand';
+}
+
+export const simulation = { // global
+    TICKS_PER_SECOND: 10,
+    TICKS_PER_DAY: 600,
+    STARTING_COLONISTS: 5,
+    tickId: 1, // start from 1 because I also use this as a truthy value
+    colonists: [],
+    // Seeded from the map, and saved, so that runs are reproducible
+    rng: seededRandom(0),
+    init() {
+        this.tickId = 1;
+        this.colonists = [];
+        this.violations.clear();
+        for (let i = 0; i < this.STARTING_COLONISTS; i++) {
+            this.colonists.push(new Colonist(Pos(20 + i, 10)));
+        }
+    },
+    get timeOfDay() {
+        return simulation.tickId % simulation.TICKS_PER_DAY;
+    },
+    get hour() {
+        return 24 * simulation.timeOfDay / simulation.TICKS_PER_DAY;
+    },
+    get day() { // starting from day 1
+        return Math.floor(simulation.tickId / simulation.TICKS_PER_DAY) + 1;
+    },
+    simulate() {
+        this.tickId++;
+        for (let colonist of [...this.colonists]) { // copy, because they can die
+            if (needs.simulate(colonist)) colonist.simulate();
+        }
+        population.simulate();
+        hazards.simulate();
+        combat.simulate();
+        regrowResources();
+        crops.simulate();
+        jobs.simulate();
+        goals.simulate();
+        if (hooks.checkInvariants) checkInvariants();
+    },
+    /** @type {Set<string>} - violations already reported, so they aren't repeated every tick */
+    violations: new Set(),
+};
+
+/**
+ * Something that should never happen, happened. Report it (once)
+ * instead of crashing, so that I can keep playing and look at it later.
+ * @param {Colonist | null} colonist
+ * @param {Job | null} job
+ * @param {string} message
+ */
+function reportViolation(colonist, job, message) {
+    const text = `Invariant: colonist ${colonist?.id ?? '-'}, job ${job?.id ?? '-'}: ${message}`;
+    if (simulation.violations.has(text)) return;
+    simulation.violations.add(text);
+    logMessage(text);
+}
+
+/**
+ * Check that the colonists, items, and jobs agree with each other
+ */
+function checkInvariants() {
+    for (let colonist of simulation.colonists) {
+        let job = jobs.lookupColonist(colonist);
+        let {inventory, state} = colonist;
+        if (inventory && inventory.pos !== colonist) {
+            reportViolation(colonist, job, `carrying item ${inventory.id} but its pos is ${inventory.pos}`);
+        }
+        if (inventory && !map.items.includes(inventory)) {
+            reportViolation(colonist, job, `carrying item ${inventory.id} that isn't on the map`);
+        }
+        if (inventory && inventory.count > colonist.carryCapacity()) {
+            reportViolation(colonist, job, `carrying ${inventory.count} ${inventory.type}, more than it can`);
+        }
+        const interrupted = Colonist.INTERRUPT_STATES.includes(state);
+        if (interrupted && job) {
+            reportViolation(colonist, job, `${state} but given job ${job.id}`);
+        }
+        if (state !== 'idle' && !interrupted && !job) {
+            reportViolation(colonist, job, `in state ${state} without a job`);
+            continue;
+        }
+        if (colonist.tool && colonist.tool.pos !== colonist) {
+            reportViolation(colonist, job, `has tool ${colonist.tool.id} but its pos is ${colonist.tool.pos}`);
+        }
+        const carries = state === 'carrying' || state === 'delivering';
+        if (carries && (!inventory || inventory !== job.item)) {
+            reportViolation(colonist, job, `in state ${state} but carrying ${inventory?.id ?? 'nothing'} instead of ${job.item?.id}`);
+        }
+        if (!carries && inventory) {
+            reportViolation(colonist, job, `in state ${state} but carrying ${inventory.id}`);
+        }
+        if (state === 'working' && (!colonist.pos.equals(job.stand) || !job.timeCompleted)) {
+            reportViolation(colonist, job, `working away from ${job.stand} or without a completion time`);
+        }
+    }
+    /** @type {Set<string>} */
+    let stackTiles = new Set();
+    for (let item of map.items) {
+        if (!isItemPosOnGround(item.pos) && /** @type {Colonist} */(item.pos).inventory !== item
+            && /** @type {Colonist} */(item.pos).tool !== item) {
+            reportViolation(/** @type {Colonist} */(item.pos), null, `item ${item.id} says it's carried, but isn't in the inventory`);
+        }
+        if (!(item.count >= 1 && item.count <= maxStack(item.type))) {
+            reportViolation(null, null, `item ${item.id} has a stack of ${item.count} ${item.type}`);
+        }
+        if (isItemPosOnGround(item.pos)) {
+            if (stackTiles.has(item.pos.toString())) reportViolation(null, null, `more than one stack at ${item.pos}`);
+            stackTiles.add(item.pos.toString());
+        }
+    }
+    for (let job of jobs.table) {
+        if (!simulation.colonists.includes(job.colonist)) {
+            reportViolation(job.colonist, job, "job assigned to a missing colonist");
+        }
+        if (job.item && !map.items.includes(job.item)) {
+            reportViolation(job.colonist, job, `job refers to item ${job.item.id} that isn't on the map`);
+        }
+    }
+}
+
+//////////////////////////////////////////////////////////////////////
+// Needs
+
+// Hunger and fatigue build up a little every tick, and eating or
+// sleeping brings them back down by an amount that depends on how good
+// the food or the bed is. Mood follows how well fed and rested they
+// are, and goes up or down with each meal and night. The thresholds
+// decide when they go looking for a table or bed, and how urgently.
+export const needs = {
+    /** @type {Record<'hunger' | 'fatigue', {perDay: number, want: number, urgent: number}>} */
+    METERS: {
+        hunger: {perDay: 0.5, want: 0.3, urgent: 0.7}, // starves at 1
+        fatigue: {perDay: 0.8, want: 0.6, urgent: 0.85}, // collapses at 1
+    },
+    // Wanting to eat or sleep comes after the player's orders, but
+    // before production; needing to comes before everything
+    WANT_PRIORITY: 13,
+    MOOD_DRIFT: 0.002, // fraction of the way to the target mood per tick
+    MOOD_PER_USE: 0.2, // mood change from the best (or worst) meal or bed
+    LOW_MOOD: 0.25, // unhappy colonists only do orders and their needs
+    LEAVE_MOOD: 0.05, // miserable colonists leave the colony
+    SLOW_WORK: 1.5, // tired or unhappy colonists take this much longer
+    ASSIGN_TICKS: 1000, // how much further a colonist who's all the way hungrier or more tired is worth walking
+    COLLAPSE_TICKS: 200, // sleeping on the floor from fully exhausted
+    FLOOR_COMFORT: 0.3,
+    /** @type {ItemCounts} - quality of the food, 0 to 1 */
+    FOOD_QUALITY: {rawfood: 0.3, cookedfood: 0.6, meal: 1},
+
+    /**
+     * Drift the meters for one tick, then collapse, starve, or leave
+     * @param {Colonist} colonist
+     * @returns {boolean} false if the colonist died
+     */
+    simulate(colonist) {
+        let meters = colonist.needs;
+        // Someone asleep in bed doesn't get more tired, or they could
+        // collapse in the middle of a night's sleep
+        let job = colonist.state === 'working' ? jobs.lookupColonist(colonist) : undefined;
+        let resting = job?.type === 'production' ? roomCharacteristics[job.room.type].furnitureShape.restores?.need : undefined;
+        for (let [need, {perDay}] of Object.entries(this.METERS)) {
+            if (need === resting) continue;
+            meters[need] = Math.min(1, meters[need] + perDay / simulation.TICKS_PER_DAY);
+        }
+        let target = 1 - Math.max(meters.hunger, meters.fatigue);
+        meters.mood += (target - meters.mood) * this.MOOD_DRIFT;
+        if (meters.hunger >= 1) {
+            removeColonist(colonist, 'died', "starved to death");
+            return false;
+        }
+        if (meters.mood < this.LEAVE_MOOD) {
+            removeColonist(colonist, 'left', "had enough and left the colony");
+            return false;
+        }
+        if (meters.fatigue >= 1 && colonist.state !== 'collapsed') colonist.interrupt('collapsed', "collapsed from exhaustion");
+        return true;
+    },
+
+    /**
+     * Does the colonist want to use this furniture? Furniture that
+     * doesn't restore a need is for anyone. Someone starving doesn't
+     * go to bed just because they're a little tired, or they'd starve
+     * in their sleep.
+     * @param {Colonist} colonist
+     * @param {FurnitureShape} furnitureShape
+     * @returns {boolean}
+     */
+    wants(colonist, furnitureShape) {
+        if (!furnitureShape.restores) return true;
+        const {need} = furnitureShape.restores;
+        const meters = colonist.needs;
+        if (meters[need] < this.METERS[need].want) return false;
+        if (meters[need] >= this.METERS[need].urgent) return true;
+        return Object.entries(this.METERS).every(([other, {urgent}]) => other === need || meters[other] < urgent);
+    },
+
+    /**
+     * How much the colonist needs what the furniture restores, so that
+     * the hungriest colonist eats first, and the most tired sleeps first
+     * @param {Colonist} colonist
+     * @param {FurnitureShape} furnitureShape
+     * @returns {number} 0 to 1, and 0 for furniture that doesn't restore a need
+     */
+    level(colonist, furnitureShape) {
+        if (!furnitureShape.restores) return 0;
+        return colonist.needs[furnitureShape.restores.need];
+    },
+
+    /**
+     * How many colonists will want to use the furniture within a day,
+     * for the demand planner, so that the meal is ready in time; making
+     * one takes a while, from the field to the stove to the table
+     * @param {FurnitureShape} furnitureShape
+     * @returns {number}
+     */
+    wantedSoon(furnitureShape) {
+        const {need} = furnitureShape.restores;
+        const {perDay, want} = this.METERS[need];
+        return simulation.colonists.filter((colonist) => colonist.needs[need] + perDay >= want).length;
+    },
+
+    /**
+     * Scan priority for furniture that restores a need
+     * @param {FurnitureShape} furnitureShape
+     * @returns {number}
+     */
+    priority(furnitureShape) {
+        const {need} = furnitureShape.restores;
+        let urgent = simulation.colonists.some((colonist) => colonist.needs[need] >= this.METERS[need].urgent);
+        return urgent ? furnitureShape.priority : this.WANT_PRIORITY;
+    },
+
+    /**
+     * Colonists who urgently need something, or are unhappy, only take
+     * jobs that are at least as important as their needs
+     * @param {Colonist} colonist
+     * @param {number} priority
+     * @returns {boolean}
+     */
+    refuses(colonist, priority) {
+        if (priority >= this.WANT_PRIORITY) return false;
+        if (colonist.needs.mood < this.LOW_MOOD) return true;
+        return Object.entries(this.METERS).some(([need, {urgent}]) => colonist.needs[need] >= urgent);
+    },
+
+    /**
+     * @param {Colonist} colonist
+     * @returns {number} how much longer work takes
+     */
+    workMultiplier(colonist) {
+        const {fatigue, mood} = colonist.needs;
+        return fatigue >= this.METERS.fatigue.urgent || mood < this.LOW_MOOD ? this.SLOW_WORK : 1;
+    },
+
+    /**
+     * How good it is to use the furniture: its comfort, and for a table,
+     * the worst of the food that's eaten
+     * @param {FurnitureShape} furnitureShape
+     * @param {Recipe} recipe
+     * @returns {number} 0 to 1
+     */
+    quality(furnitureShape, recipe) {
+        let quality = furnitureShape.comfort ?? 1;
+        for (let type of Object.keys(recipe.inputs)) {
+            quality = Math.min(quality, this.FOOD_QUALITY[type] ?? 1);
+        }
+        return quality;
+    },
+
+    /**
+     * Bring a meter back down after eating or sleeping, and change the
+     * mood by how good it was
+     * @param {Colonist} colonist
+     * @param {{need: 'hunger' | 'fatigue', amount: number}} restores
+     * @param {number} quality
+     */
+    restore(colonist, {need, amount}, quality) {
+        colonist.needs[need] = Math.max(0, colonist.needs[need] - amount * quality);
+        this.changeMood(colonist, quality);
+    },
+
+    /**
+     * Good meals and beds cheer colonists up, and bad ones get them down
+     * @param {Colonist} colonist
+     * @param {number} quality - 0 to 1
+     */
+    changeMood(colonist, quality) {
+        let mood = colonist.needs.mood + this.MOOD_PER_USE * (2 * quality - 1);
+        colonist.needs.mood = Math.min(1, Math.max(0, mood));
+    },
+};
+
+
+//////////////////////////////////////////////////////////////////////
+// Skills
+
+// Each job practices a skill, and colonists who have practiced more
+// work faster, and sometimes make an extra item. Hauling is
+// different: it lets them carry more, see Colonist.carryCapacity().
+// The assignment step prefers skilled colonists, see
+// jobs.assignColonists().
+export const skills = {
+    /** @type {Skill[]} */
+    NAMES: ['farming', 'cooking', 'hauling', 'crafting', 'digging'],
+    XP_PER_LEVEL: 5, // level n takes n² × this many jobs
+    MAX_LEVEL: 10,
+    SPEED_PER_LEVEL: 0.05, // fraction of the work ticks saved
+    BONUS_PER_LEVEL: 0.03, // chance of making an extra item
+    LEVELS_PER_CARRY: 4, // hauling
+    ASSIGN_TICKS_PER_LEVEL: 3, // how much further a skilled colonist is worth walking
+
+    /** @returns {Skills} no experience in anything */
+    none() {
+        return /** @type {Skills} */(Object.fromEntries(this.NAMES.map((skill) => [skill, 0])));
+    },
+
+    /**
+     * @param {Colonist} colonist
+     * @param {Skill} skill
+     * @returns {number} 0 to MAX_LEVEL
+     */
+    level(colonist, skill) {
+        return Math.min(this.MAX_LEVEL, Math.floor(Math.sqrt(colonist.skills[skill] / this.XP_PER_LEVEL)));
+    },
+
+    /**
+     * @param {Job} job
+     * @returns {Skill | null} what doing the job practices, if anything
+     */
+    forJob(job) {
+        switch (job.type) {
+            case 'production':
+            case 'tend': return roomCharacteristics[job.room.type].furnitureShape.skill ?? null;
+            case 'gather': return jobResource(job).skill;
+            case 'transport': return 'hauling';
+            case 'construct':
+            case 'fortify': return 'crafting';
+            case 'excavate':
+            case 'pump': return 'digging';
+            default: return null;
+        }
+    },
+
+    /**
+     * @param {Colonist} colonist
+     * @param {Skill | null} skill
+     * @returns {number} multiplies the work ticks
+     */
+    workMultiplier(colonist, skill) {
+        return skill ? 1 - this.SPEED_PER_LEVEL * this.level(colonist, skill) : 1;
+    },
+
+    /**
+     * @param {Colonist} colonist
+     * @param {Skill | null} skill
+     * @returns {number} 1 if the colonist made an extra item, else 0
+     */
+    bonusItems(colonist, skill) {
+        if (!skill) return 0;
+        return random() < this.BONUS_PER_LEVEL * this.level(colonist, skill) ? 1 : 0;
+    },
+
+    /**
+     * A job's been done; the colonist gets a little better at it
+     * @param {Colonist} colonist
+     * @param {Skill | null} skill
+     */
+    practice(colonist, skill) {
+        if (!skill) return;
+        let before = this.level(colonist, skill);
+        colonist.skills[skill]++;
+        let after = this.level(colonist, skill);
+        if (after > before) logMessage(`${colonist.id} is now level ${after} at ${skill}`);
+    },
+};
+
+
+//////////////////////////////////////////////////////////////////////
+// Work types
+
+// Like RimWorld's work tab, the player sets each colonist's priority
+// for each kind of work, 1 first to 4 last, or 0 for never. Colonists
+// pick from the work they've put first, and only move on to the next
+// level when there's none of that to do. The room priorities in
+// roomCharacteristics only break the ties within a level. Eating,
+// sleeping, and picking up tools aren't work; they compete with the
+// colonist's first level of work.
+export const workTypes = {
+    /** @type {WorkType[]} */
+    NAMES: ['haul', 'farm', 'cook', 'craft', 'dig', 'build'],
+    LEVELS: [1, 2, 3, 4],
+    DEFAULT_PRIORITY: 3,
+    /** @type {Record<Skill, WorkType>} */
+    SKILL_WORK: {farming: 'farm', cooking: 'cook', hauling: 'haul', crafting: 'craft', digging: 'dig'},
+
+    /** @returns {WorkPriorities} everything at the default priority */
+    defaults() {
+        return /** @type {WorkPriorities} */(Object.fromEntries(this.NAMES.map((work) => [work, this.DEFAULT_PRIORITY])));
+    },
+
+    /**
+     * @param {FurnitureShape} furnitureShape
+     * @returns {WorkType | null} null for furniture that restores a need
+     */
+    forShape(furnitureShape) {
+        return furnitureShape.skill ? this.SKILL_WORK[furnitureShape.skill] : null;
+    },
+
+    /**
+     * @param {Job} job
+     * @returns {WorkType | null} null for jobs that aren't work
+     */
+    forJob(job) {
+        switch (job.type) {
+            case 'production':
+            case 'tend': return this.forShape(roomCharacteristics[job.room.type].furnitureShape);
+            case 'gather': return this.SKILL_WORK[jobResource(job).skill];
+            case 'transport': return 'haul';
+            case 'construct':
+            case 'fortify': return 'build';
+            case 'excavate':
+            case 'pump': return 'dig';
+            default: return null;
+        }
+    },
+
+    /**
+     * @param {Colonist} colonist
+     * @returns {number} the colonist's highest priority level, or the
+     *     first level for colonists who don't do any work
+     */
+    firstLevel(colonist) {
+        let levels = this.NAMES.map((work) => colonist.workPriorities[work]).filter((level) => level > 0);
+        return levels.length ? Math.min(...levels) : this.LEVELS[0];
+    },
+
+    /**
+     * @param {Colonist} colonist
+     * @param {WorkType | null} work
+     * @param {number} level - one of LEVELS
+     * @returns {boolean} true if the colonist does this job at this level
+     */
+    allows(colonist, work, level) {
+        if (work === null) return level === this.firstLevel(colonist);
+        return colonist.workPriorities[work] === level;
+    },
+
+    /**
+     * @param {Colonist} colonist
+     * @param {number} level - one of LEVELS
+     * @returns {boolean} true if the colonist has any jobs at this level
+     */
+    hasLevel(colonist, level) {
+        return level === this.firstLevel(colonist) || this.NAMES.some((work) => colonist.workPriorities[work] === level);
+    },
+};
+
+//////////////////////////////////////////////////////////////////////
+// Population
+
+// The colony grows when it looks like a good place to live, with beds
+// that nobody sleeps in and more food than everyone needs. Once a day,
+// a few migrants come in across the river at the edge of the
+// wilderness. Colonists also starve, or leave when they're miserable;
+// see needs.simulate().
+export const population = {
+    ARRIVAL_HOUR: 8,
+    MAX_WAVE: 3,
+    FOOD_PER_COLONIST: 3, // spare food, counting the migrants too
+    /** @type {PopulationStats} - for the end of run summary */
+    stats: {arrived: 0, died: 0, left: 0, peak: 0},
+
+    /**
+     * @returns {number} furniture to sleep in
+     */
+    beds() {
+        let count = 0;
+        for (let room of map.rooms) {
+            if (roomCharacteristics[room.type].furnitureShape?.restores?.need === 'fatigue') {
+                count += room.furniture.length;
+            }
+        }
+        return count;
+    },
+
+    /**
+     * @returns {number} items of any kind of food
+     */
+    food() {
+        return map.items
+            .filter((item) => needs.FOOD_QUALITY[item.type] !== undefined)
+            .reduce((sum, item) => sum + item.count, 0);
+    },
+
+    /**
+     * How many migrants would come today: one for each free bed, if
+     * there's enough food for them
+     * @returns {number}
+     */
+    waveSize() {
+        let colonists = simulation.colonists.length;
+        let freeBeds = this.beds() - colonists;
+        let spareFood = Math.floor(this.food() / this.FOOD_PER_COLONIST) - colonists;
+        return Math.max(0, Math.min(freeBeds, spareFood, this.MAX_WAVE));
+    },
+
+    /**
+     * Somewhere along the river bank at the west edge of the map
+     * @returns {Position | null}
+     */
+    arrivalTile() {
+        const {width, height} = map.options;
+        let y = randRange(0, height);
+        for (let x = 0; x < width; x++) {
+            if (map.walkable.has(Pos(x, y).toString())) return Pos(x, y);
+        }
+        return null;
+    },
+
+    simulate() {
+        this.stats.peak = Math.max(this.stats.peak, simulation.colonists.length);
+        if (simulation.timeOfDay !== this.ARRIVAL_HOUR * simulation.TICKS_PER_DAY / 24) return;
+        let count = this.waveSize();
+        if (count === 0) return;
+        let pos = this.arrivalTile();
+        if (!pos) return;
+        for (let i = 0; i < count; i++) simulation.colonists.push(new Colonist(pos));
+        this.stats.arrived += count;
+        logMessage(`${count} migrant${count > 1 ? 's' : ''} arrived at ${pos}, there are now ${simulation.colonists.length} colonists`);
+    },
+};
+
+/**
+ * Take a colonist out of the colony. What they were carrying is left
+ * behind, and their jobs go back to being available, which also frees
+ * the stands and destination tiles the jobs had reserved.
+ * @param {Colonist} colonist
+ * @param {'died' | 'left'} fate
+ * @param {string} why - for the message log
+ */
+function removeColonist(colonist, fate, why) {
+    population.stats[fate]++;
+    for (let job of jobs.table.filter((job) => job.colonist === colonist)) {
+        jobs.deleteJob(job);
+    }
+    if (colonist.inventory) itemDropNearby(colonist, colonist.inventory);
+    if (colonist.tool) itemDropNearby(colonist, colonist.tool);
+    colonist.path = [];
+    simulation.colonists.splice(simulation.colonists.indexOf(colonist), 1);
+    logMessage(`${colonist.id} ${why} at ${colonist.pos}`);
+}
+
+//////////////////////////////////////////////////////////////////////
+// Hazards
+
+// Rooms deeper in the mountain can have a hazard, see DEPTH_TIERS in
+// the map generator. Dark rooms only make unlocking cost more. Flooded
+// rooms can't be used until they're pumped dry, and rooms prone to
+// cave-ins lose a door every so often, which then has to be dug out
+// again like the rock around it.
+export const hazards = {
+    CAVE_IN_HOUR: 15,
+    CAVE_IN_CHANCE: 0.3, // per day, for each room with the hazard
+    PUMP_TICKS: 30, // for each unit of room.water
+
+    /**
+     * @param {Room} room
+     * @returns {boolean} whether the room can't be used yet
+     */
+    isFlooded(room) {
+        return room.water > 0;
+    },
+
+    /**
+     * Don't cave in a door that someone's standing on or walking
+     * through, or that has items or a job on it
+     * @param {Position} pos
+     * @returns {boolean}
+     */
+    inUse(pos) {
+        return simulation.colonists.some((colonist) =>
+            colonist.pos.equals(pos) || colonist.path.some((step) => step.equals(pos)))
+            || findItemOnTile(pos) !== null
+            || jobs.table.some((job) => job.stand?.equals(pos) || job.dest?.equals(pos));
+    },
+
+    simulate() {
+        if (simulation.timeOfDay !== this.CAVE_IN_HOUR * simulation.TICKS_PER_DAY / 24) return;
+        for (let room of map.rooms) {
+            if (!room.unlocked || room.hazard !== 'caveIn') continue;
+            if (random() >= this.CAVE_IN_CHANCE) continue;
+            let doors = Array.from(map.doors).filter((door) =>
+                (door.room1 === room || door.room2 === room)
+                    && map.walkable.has(door.pos.toString())
+                    && !this.inUse(door.pos));
+            if (doors.length === 0) continue;
+            let {pos} = doors[randRange(0, doors.length)];
+            map.walkable.delete(pos.toString());
+            room.rubble.push(pos);
+            logMessage(`The door at ${pos} of a ${room.type} room caved in`);
+        }
+    },
+};
+
+
+//////////////////////////////////////////////////////////////////////
+// Combat
+
+// Every night a few creatures come out of the locked rooms at the
+// edge of the colony, or in from the wilderness, and go after the
+// nearest colonist or stockpiled food. Colonists who see one drop
+// whatever they're doing and fight it, better with a tool in hand,
+// until they're hurt, and then they run. The player can build
+// barricades, which creatures have to break through (colonists can
+// climb over them), and traps, which hurt creatures stepping on them.
+export const combat = {
+    /** @type {{[kind: string]: CreatureKind}} */
+    CREATURES: {
+        rooster: {
+            name: "rooster", sprite: 'rooster',
+            health: 4, damage: 1, attackTicks: 20, moveTicks: 2,
+            eats: ['rawfood', 'cookedfood', 'meal'], drops: 'rawfood',
+        },
+    },
+    /** @type {Record<DefenseKind, DefenseShape>} */
+    DEFENSES: {
+        barricade: {name: "barricade", sprite: 'wall', materials: {wood: 2}, ticks: 40, hits: 10, damage: 0},
+        trap: {name: "trap", sprite: 'square', materials: {iron: 1, wood: 1}, ticks: 30, hits: 3, damage: 3},
+    },
+    FIRST_DAY: 3, // nights are quiet until then
+    SPAWN_HOUR: 22,
+    DAYS_PER_EXTRA_CREATURE: 3,
+    MAX_SPAWN: 6,
+    COLONIST_HEALTH: 10,
+    HEAL_PER_DAY: 4,
+    FLEE_HEALTH: 4, // colonists fight until they're this hurt
+    THREAT_RANGE: 8, // colonists notice creatures this close
+    FLEE_RANGE: 6, // how far colonists look for somewhere safer
+    ATTACK_TICKS: 10, // for colonists; creatures have their own
+    /** @type {{[tool: string]: number}} - without a tool it's 1 */
+    WEAPON_DAMAGE: {axe: 3, pick: 2},
+    BARRICADE_COST: 20, // creatures would rather walk around
+    REPATH_TICKS: 10,
+
+    /** @type {Creature[]} */
+    creatures: [],
+    /** @type {Defense[]} */
+    defenses: [],
+    _id: 0,
+
+    /**
+     * @param {Position} pos
+     * @param {number} range
+     * @returns {Creature | undefined} the closest one within range
+     */
+    nearestCreature(pos, range) {
+        let nearest, best = range + 1;
+        for (let creature of this.creatures) {
+            let distance = manhattanDistance(pos, creature.pos);
+            if (distance < best) [nearest, best] = [creature, distance];
+        }
+        return nearest;
+    },
+
+    /**
+     * @param {Position} pos
+     * @returns {Defense | undefined}
+     */
+    defenseAt(pos) {
+        return this.defenses.find((defense) => defense.pos.equals(pos));
+    },
+
+    /**
+     * Where creatures come from: doors from the colony into locked
+     * rooms, and the wilderness edge where migrants arrive
+     * @returns {Position | null}
+     */
+    spawnTile() {
+        let doors = Array.from(map.doors).filter((door) =>
+            door.room1.unlocked !== door.room2.unlocked && map.walkable.has(door.pos.toString()));
+        if (doors.length > 0 && random() < 0.5) return doors[randRange(0, doors.length)].pos;
+        return population.arrivalTile();
+    },
+
+    /**
+     * A walkable tile nearby that's further from the threat, for
+     * fleeing colonists
+     * @param {Position} pos
+     * @param {Position} threat
+     * @returns {Position | null} null if there's nowhere better
+     */
+    fleeTile(pos, threat) {
+        let best = null, bestDistance = manhattanDistance(pos, threat);
+        for (let dy = -this.FLEE_RANGE; dy <= this.FLEE_RANGE; dy++) {
+            for (let dx = -this.FLEE_RANGE; dx <= this.FLEE_RANGE; dx++) {
+                let tile = Pos(pos.x + dx, pos.y + dy);
+                if (!map.walkable.has(tile.toString())) continue;
+                let distance = manhattanDistance(tile, threat);
+                if (distance > bestDistance) [best, bestDistance] = [tile, distance];
+            }
+        }
+        return best;
+    },
+
+    /**
+     * Creatures walk like colonists, except that barricades are in
+     * their way, and they all move one tile per step
+     * @param {Position} start
+     * @param {Position} goal
+     * @returns {Position[] | null} reverse order of tiles to visit
+     */
+    findPath(start, goal) {
+        /** @type {Map<string, number>} */
+        let costs = new Map();
+        for (let defense of this.defenses) {
+            if (defense.built && defense.kind === 'barricade') costs.set(defense.pos.toString(), this.BARRICADE_COST);
+        }
+        let search = aStarSearch(map, start, goal, costs);
+        if (!search) return null;
+        let path = [];
+        for (let current = goal; !current.equals(start); current = search.came_from[current]) path.push(current);
+        return path;
+    },
+
+    /**
+     * @param {Creature} creature
+     * @param {number} damage
+     * @param {string} by - for the message log
+     */
+    hurtCreature(creature, damage, by) {
+        const {name, drops} = this.CREATURES[creature.kind];
+        creature.health -= damage;
+        if (creature.health > 0) return;
+        this.creatures.splice(this.creatures.indexOf(creature), 1);
+        logMessage(`The ${name} at ${creature.pos} was killed by ${by}`);
+        let tile = drops && findNearestOpenTile(creature.pos, drops);
+        if (tile) itemCreateOnGround(drops, tile);
+    },
+
+    /**
+     * The closest colonist, or stockpiled food nobody's using
+     * @param {Creature} creature
+     * @returns {Colonist | Item | undefined}
+     */
+    target(creature) {
+        const {eats} = this.CREATURES[creature.kind];
+        /** @type {Array<Colonist | Item>} */
+        let targets = [...simulation.colonists];
+        for (let item of map.items) {
+            if (eats.includes(item.type) && stockpiles.isStored(item) && !jobs.lookupItem(item)) targets.push(item);
+        }
+        let nearest, best = Infinity;
+        for (let target of targets) {
+            // (items in stockpiles are on the ground, not carried)
+            let distance = manhattanDistance(creature.pos, /** @type {Position} */(target.pos));
+            if (distance < best) [nearest, best] = [target, distance];
+        }
+        return nearest;
+    },
+
+    /**
+     * Attack the target if it's next to the creature, otherwise take a
+     * step towards it, breaking any barricade in the way
+     * @param {Creature} creature
+     */
+    simulateCreature(creature) {
+        if (simulation.tickId < creature.readyAt) return;
+        const kind = this.CREATURES[creature.kind];
+        let target = this.target(creature);
+        if (!target) return;
+        const goal = /** @type {Position} */(target.pos);
+        if (manhattanDistance(creature.pos, goal) <= 1) {
+            creature.readyAt = simulation.tickId + kind.attackTicks;
+            if (target instanceof Colonist) {
+                target.health -= kind.damage;
+                if (target.health <= 0) removeColonist(target, 'died', `was killed by a ${kind.name}`);
+                else if (target.state === 'collapsed') {
+                    target.interrupt(target.health > this.FLEE_HEALTH ? 'fighting' : 'fleeing',
+                                     `was woken up by a ${kind.name}`);
+                }
+            } else {
+                itemConsume(target, 1);
+            }
+            return;
+        }
+
+        if (creature.path.length === 0
+            || (!creature.path[0].equals(goal) && simulation.tickId >= creature.repathAt)) {
+            creature.path = this.findPath(creature.pos, goal) ?? [];
+            creature.repathAt = simulation.tickId + this.REPATH_TICKS;
+        }
+        let next = creature.path.at(-1);
+        if (!next) { // no way to get there
+            creature.readyAt = simulation.tickId + this.REPATH_TICKS;
+            return;
+        }
+        let defense = this.defenseAt(next);
+        if (defense?.built && defense.kind === 'barricade') {
+            creature.readyAt = simulation.tickId + kind.attackTicks;
+            if ((defense.hits -= kind.damage) <= 0) this.removeDefense(defense, `broken by a ${kind.name}`);
+            return;
+        }
+        creature.pos = creature.path.pop();
+        creature.readyAt = simulation.tickId + kind.moveTicks;
+        defense = this.defenseAt(creature.pos);
+        if (defense?.built && defense.kind === 'trap') {
+            if (--defense.hits <= 0) this.removeDefense(defense, "used up");
+            this.hurtCreature(creature, this.DEFENSES.trap.damage, "a trap");
+        }
+    },
+
+    /**
+     * @param {Defense} defense
+     * @param {string} why - for the message log
+     */
+    removeDefense(defense, why) {
+        this.defenses.splice(this.defenses.indexOf(defense), 1);
+        logMessage(`The ${this.DEFENSES[defense.kind].name} at ${defense.pos} was ${why}`);
+    },
+
+    spawn() {
+        let count = Math.min(this.MAX_SPAWN,
+                             1 + Math.floor((simulation.day - this.FIRST_DAY) / this.DAYS_PER_EXTRA_CREATURE));
+        for (let i = 0; i < count; i++) {
+            let pos = this.spawnTile();
+            if (!pos) return;
+            const kind = 'rooster';
+            this.creatures.push({
+                id: "m" + (++this._id), kind, pos, path: [],
+                health: this.CREATURES[kind].health, readyAt: 0, repathAt: 0,
+            });
+            logMessage(`A ${this.CREATURES[kind].name} appeared at ${pos}`);
+        }
+    },
+
+    simulate() {
+        if (simulation.day >= this.FIRST_DAY
+            && simulation.timeOfDay === this.SPAWN_HOUR * simulation.TICKS_PER_DAY / 24) this.spawn();
+        for (let colonist of simulation.colonists) {
+            colonist.health = Math.min(this.COLONIST_HEALTH, colonist.health + this.HEAL_PER_DAY / simulation.TICKS_PER_DAY);
+            if (Colonist.INTERRUPT_STATES.includes(colonist.state)) continue;
+            let creature = this.nearestCreature(colonist.pos, this.THREAT_RANGE);
+            if (!creature) continue;
+            const {name} = this.CREATURES[creature.kind];
+            if (colonist.health > this.FLEE_HEALTH) colonist.interrupt('fighting', `saw a ${name} and went to fight it`);
+            else colonist.interrupt('fleeing', `saw a ${name} and ran`);
+        }
+        for (let creature of [...this.creatures]) { // copy, because they can die
+            this.simulateCreature(creature);
+        }
+    },
+};
+
+/**
+ * @param {Position} a
+ * @param {Position} b
+ * @returns {number} tiles apart, not counting diagonals
+ */
+function manhattanDistance(a, b) {
+    return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+}
+
+//////////////////////////////////////////////////////////////////////
+// Goals
+
+// A run has goals to reach and ways to lose, like Against the Storm.
+// A scenario declares them, or a new colony gets the default ones. A
+// goal stays met once it's met, and the run is won when they all are.
+// It's lost when a fail condition holds, or when a goal's day ends
+// before it's met.
+export const goals = {
+    /** @type {Objectives} */
+    DEFAULT_OBJECTIVES: {
+        goals: [
+            {condition: {type: 'unlock', q: 4}},
+            {condition: {type: 'colonists', count: 12}, byDay: 20},
+        ],
+        failures: [{type: 'noColonists'}],
+    },
+    /** @type {Objectives} */
+    objectives: {goals: [], failures: []},
+    /** @type {Array<number | null>} - the day each goal was met */
+    met: [],
+    /** @type {RunOutcome | null} */
+    outcome: null,
+
+    /**
+     * Start a run with these objectives
+     * @param {Objectives} objectives
+     */
+    reset(objectives) {
+        this.objectives = structuredClone(objectives);
+        this.met = objectives.goals.map(() => null);
+        this.outcome = null;
+    },
+
+    /**
+     * @param {Condition} condition
+     * @returns {{current: number, target: number}} for the goal tracker
+     */
+    progress(condition) {
+        switch (condition.type) {
+            case 'unlock': {
+                let deepest = Math.max(0, ...map.rooms.filter((room) => room.unlocked).map((room) => room.q));
+                return {current: deepest, target: condition.q};
+            }
+            case 'items': {
+                let count = findItemsOfType(condition.itemType).reduce((sum, item) => sum + item.count, 0);
+                return {current: count, target: condition.count};
+            }
+            case 'colonists': return {current: simulation.colonists.length, target: condition.count};
+            case 'noColonists': return {current: simulation.colonists.length === 0 ? 1 : 0, target: 1};
+            case 'dayOver': return {current: simulation.day - 1, target: condition.day};
+            default: throw `Unknown condition ${/** @type {any} */(condition).type}`;
+        }
+    },
+
+    /**
+     * @param {Condition} condition
+     * @returns {boolean}
+     */
+    holds(condition) {
+        const {current, target} = this.progress(condition);
+        return current >= target;
+    },
+
+    /**
+     * @param {Condition} condition
+     * @returns {string}
+     */
+    describe(condition) {
+        switch (condition.type) {
+            case 'unlock': return `Unlock a room at depth ${condition.q}`;
+            case 'items': return `Have ${condition.count} ${condition.itemType}`;
+            case 'colonists': return `Reach ${condition.count} colonists`;
+            case 'noColonists': return `All colonists are gone`;
+            case 'dayOver': return `Day ${condition.day} is over`;
+            default: throw `Unknown condition ${/** @type {any} */(condition).type}`;
+        }
+    },
+
+    simulate() {
+        if (this.outcome) return; // already decided, even if the player keeps playing
+        const {goals: list, failures} = this.objectives;
+        list.forEach((goal, i) => {
+            if (this.met[i] === null && this.holds(goal.condition)) {
+                this.met[i] = simulation.day;
+                logMessage(`Goal met: ${this.describe(goal.condition)}`);
+            }
+        });
+        let failure = failures.find((condition) => this.holds(condition));
+        if (failure) {
+            this.end('lost', this.describe(failure));
+            return;
+        }
+        let missed = list.findIndex((goal, i) => this.met[i] === null && goal.byDay !== undefined
+                                    && simulation.day > goal.byDay);
+        if (missed >= 0) {
+            const {condition, byDay} = list[missed];
+            this.end('lost', `Didn't ${this.describe(condition).toLowerCase()} by day ${byDay}`);
+            return;
+        }
+        if (list.length > 0 && this.met.every((day) => day !== null)) {
+            this.end('won', "All goals met");
+        }
+    },
+
+    /**
+     * @param {'won' | 'lost'} result
+     * @param {string} reason
+     */
+    end(result, reason) {
+        this.outcome = {result, reason, day: simulation.day, continued: false};
+        logMessage(`The colony has ${result}: ${reason}`);
+    },
+};
+
+
+//////////////////////////////////////////////////////////////////////
+// Items
+
+/**
+ * @param {Position | Object} pos
+ * @returns {pos is Position}
+ */
+export function isItemPosOnGround(pos) {
+    return pos && 'x' in pos;
+}
+
+/**
+ * There's at most one stack of items on a tile
+ * @param {Position} pos
+ * @returns {Item | null}
+ */
+export function findItemOnTile(pos) {
+    for (let item of map.items) {
+        if (isItemPosOnGround(item.pos) && pos.equals(item.pos)) return item;
+    }
+    return null;
+}
+
+// Items of the same type stack on a tile, up to this many. Every item
+// type is listed, so this is also how commands check the item types.
+const ITEM_STACK_SIZES = {
+    rawfood: 10, cookedfood: 10, meal: 5, stone: 20,
+    wood: 20, iron_ore: 20, iron: 10, axe: 5, pick: 5, torch: 10,
+};
+
+/**
+ * @param {string} type
+ * @returns {boolean} true if there's an item type with this name
+ */
+function isItemType(type) {
+    return Object.hasOwn(ITEM_STACK_SIZES, type);
+}
+
+/**
+ * @param {ItemType} type
+ * @returns {number}
+ */
+export function maxStack(type) {
+    return ITEM_STACK_SIZES[type] ?? 10;
+}
+
+/**
+ * @param {Position} pos
+ * @param {ItemType} type
+ * @returns {number} how many more items of this type fit on the tile
+ */
+function tileSpaceFor(pos, type) {
+    let item = findItemOnTile(pos);
+    if (!item) return maxStack(type);
+    if (item.type !== type) return 0;
+    return maxStack(type) - item.count;
+}
+
+/**
+ * Find a tile without a job assigned to it, and with room for an item
+ * of this type, preferring to add to an existing stack. Without a type,
+ * the tile has to be empty.
+ * @param {Room} room
+ * @param {ItemType} [type]
+ * @returns {Position | null}
+ */
+function findOpenOutputTile(room, type=undefined) {
+    /** @type{Set<string>} */
+    let occupiedByFurniture = new Set();
+    for (let f of allFurniturePositions(room)) {
+        for (let p of positionsOccupiedByFurniture(room, f).keys()) {
+            occupiedByFurniture.add(p);
+        }
+    }
+
+    // Prefer right side, bottom if available
+    let empty = null;
+    for (let x = room.rect.right-1; x > room.rect.left; x--) {
+        for (let y = room.rect.bottom-1; y > room.rect.top; y--) {
+            let pos = Pos(x, y);
+            if (jobs.lookupDest(pos)) continue;
+            if (jobs.isUnreachable(pos.toString())) continue;
+            if (occupiedByFurniture.has(pos.toString())) continue;
+            let item = findItemOnTile(pos);
+            if (!item) empty ??= pos;
+            else if (type && tileSpaceFor(pos, type) > 0) return pos;
+        }
+    }
+    return empty;
+}
+
+
+/**
+ * Find all furniture input positions; we never want to pick up these items
+ * @returns {Set<string>}
+ */
+function findFurnitureInputPositions() {
+    let furnitureInputPositions = new Set();
+    for (let room of map.rooms) {
+        for (let furniture of room.furniture) {
+            for (let input of roomCharacteristics[room.type].furnitureShape.inputs) {
+                let dest = Pos(furniture.x + input.pos.x,
+                               furniture.y + input.pos.y);
+                furnitureInputPositions.add(dest.toString());
+            }
+        }
+    }
+    return furnitureInputPositions;
+}
+
+/**
+ * Items that are free to be moved somewhere: on the ground, not
+ * already part of a job, and not on a furniture input
+ * @param {ItemType} type
+ * @param {Set<string>} furnitureInputPositions
+ * @returns {Array<Item>}
+ */
+function findAvailableItemsOfType(type, furnitureInputPositions) {
+    return findItemsOfType(type)
+        .filter((item) => isItemPosOnGround(item.pos))
+        .filter((item) => !jobs.lookupItem(item))
+        .filter((item) => !jobs.isUnreachable(item.id))
+        .filter((item) => !furnitureInputPositions.has(item.pos.toString()));
+}
+
+/**
+ * Find the closest walkable tile (by walking) that has room for an
+ * item of this type and isn't reserved, to drop an item
+ * @param {Position} start
+ * @param {ItemType} type
+ * @returns {Position | null}
+ */
+function findNearestOpenTile(start, type) {
+    let underFurniture = furnitureTiles();
+    let visited = new Set([start.toString()]);
+    let queue = [start];
+    for (let i = 0; i < queue.length; i++) {
+        let pos = queue[i];
+        if (!underFurniture.has(pos.toString()) && tileSpaceFor(pos, type) > 0
+            && !jobs.lookupDest(pos) && !jobs.isUnreachable(pos.toString())) return pos;
+        for (let [dx, dy] of [[-1, 0], [+1, 0], [0, -1], [0, +1]]) {
+            let neighbor = Pos(pos.x + dx, pos.y + dy);
+            if (visited.has(neighbor.toString())) continue;
+            if (!map.walkable.has(neighbor.toString())) continue;
+            visited.add(neighbor.toString());
+            queue.push(neighbor);
+        }
+    }
+    return null;
+}
+
+/**
+ * @returns {ItemCounts} how many available items there are of each type
+ */
+export function availableItemCounts() {
+    const furnitureInputPositions = findFurnitureInputPositions();
+    /** @type {ItemCounts} */
+    let counts = {};
+    for (let item of map.items) {
+        if (counts[item.type] !== undefined) continue;
+        counts[item.type] = findAvailableItemsOfType(item.type, furnitureInputPositions)
+            .reduce((sum, item) => sum + item.count, 0);
+    }
+    return counts;
+}
+
+/**
+ * @param {ItemCounts} cost
+ * @param {ItemCounts} available
+ * @returns {boolean}
+ */
+export function canAfford(cost, available) {
+    return Object.entries(cost).every(([type, count]) => (available[type] ?? 0) >= count);
+}
+
+/**
+ * @param {ItemCounts} counts
+ * @returns {string} e.g. "3 rawfood, 1 meal"
+ */
+export function itemCountsToString(counts) {
+    return Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(", ");
+}
+
+/**
+ * @param {Order} order
+ * @param {string} type
+ * @returns {number} how many more of this type are needed
+ */
+export function orderRemaining(order, type) {
+    return (order.cost[type] ?? 0) - (order.delivered[type] ?? 0);
+}
+
+/**
+ * @param {Order} order
+ * @returns {boolean}
+ */
+export function isOrderComplete(order) {
+    return Object.keys(order.cost).every((type) => orderRemaining(order, type) <= 0);
+}
+
+/**
+ * @param {ItemType} type
+ * @returns {Array<Item>}
+ */
+function findItemsOfType(type) {
+    return map.items.filter((item) => item.type === type);
+    // NOTE: could be faster if we have items per room, and then we only have
+    // to search some rooms
+}
+
+/**
+ * @param {ItemType} type
+ * @param {Colonist} colonist
+ * @param {number} [count]
+ * @returns {Item}
+ */
+let _nextItemId = 0;
+function itemCreate(type, colonist, count=1) {
+    if (colonist.inventory !== null) throw `Can't create item ${type}, colonist inventory not empty`;
+    let item = {id: "i" + (++_nextItemId), type, count, pos: colonist};
+    map.items.push(item);
+    colonist.inventory = item;
+    return item;
+}
+
+/**
+ * Put items on the ground, adding to the stack that's already there
+ * @param {ItemType} type
+ * @param {Position} pos
+ * @param {number} [count]
+ * @returns {Item}
+ */
+function itemCreateOnGround(type, pos, count=1) {
+    if (tileSpaceFor(pos, type) < count) throw `Can't create ${count} ${type}, tile occupied`;
+    let item = findItemOnTile(pos);
+    if (item) {
+        item.count += count;
+        return item;
+    }
+    item = {id: "i" + (++_nextItemId), type, count, pos};
+    map.items.push(item);
+    return item;
+}
+
+/**
+ * @param {Item} item
+ */
+function itemRemove(item) {
+    item.pos = null;
+    let i = map.items.indexOf(item);
+    if (i < 0) throw `Item ${item.id} not found in items list`;
+    map.items.splice(i, 1);
+}
+
+/**
+ * Use up some of a stack on the ground
+ * @param {Item} item
+ * @param {number} [count]
+ */
+function itemConsume(item, count=1) {
+    if (!isItemPosOnGround(item.pos)) throw `Can't consume ${item.id} unless on the ground`;
+    if (item.count < count) throw `Can't consume ${count} of ${item.id}, only ${item.count}`;
+    item.count -= count;
+    if (item.count === 0) itemRemove(item);
+}
+
+/**
+ * Pick up some or all of a stack
+ * @param {Colonist} colonist;
+ * @param {Item} item
+ * @param {number} [count]
+ * @returns {Item} what the colonist is now carrying
+ */
+function itemPickUp(colonist, item, count=item.count) {
+    let pos = item.pos;
+    if (isItemPosOnGround(pos) && !colonist.pos.equals(pos)) throw `Can't pick up item ${item.type}, not where colonist is`;
+    if (colonist.inventory !== null) throw `Can't pick up item ${item.type}, colonist inventory not empty`;
+    item = itemSplit(item, count);
+    item.pos = colonist;
+    colonist.inventory = item;
+    return item;
+}
+
+/**
+ * Take some of a stack as a new item; the rest stays where it is
+ * @param {Item} item
+ * @param {number} count
+ * @returns {Item} the new item, or the same one if it's the whole stack
+ */
+function itemSplit(item, count) {
+    if (count >= item.count) return item;
+    item.count -= count;
+    let split = {id: "i" + (++_nextItemId), type: item.type, count, pos: item.pos};
+    map.items.push(split);
+    return split;
+}
+
+/**
+ * Pick up one tool from a stack and keep it
+ * @param {Colonist} colonist
+ * @param {Item} item
+ */
+function itemEquip(colonist, item) {
+    if (!isItemPosOnGround(item.pos) || !colonist.pos.equals(item.pos)) throw `Can't equip item ${item.type}, not where colonist is`;
+    if (colonist.tool !== null) throw `Can't equip item ${item.type}, colonist already has a tool`;
+    item = itemSplit(item, 1);
+    item.pos = colonist;
+    colonist.tool = item;
+}
+
+/**
+ * Put down carried items, or a tool, on the nearest tiles with room,
+ * when the colonist can't take them where they were going. Whatever
+ * doesn't fit anywhere is lost.
+ * @param {Colonist} colonist
+ * @param {Item} item
+ */
+function itemDropNearby(colonist, item) {
+    if (item.pos !== colonist) throw `Can't drop item ${item.type} that's not carried`;
+    if (colonist.inventory === item) colonist.inventory = null;
+    if (colonist.tool === item) colonist.tool = null;
+    itemRemove(item);
+    itemCreateNearby(item.type, colonist.pos, item.count);
+}
+
+/**
+ * Put items on the ground on the nearest tiles with room, spreading
+ * them over several tiles if one isn't enough
+ * @param {ItemType} type
+ * @param {Position} pos
+ * @param {number} count
+ * @returns {number} how many didn't fit anywhere
+ */
+function itemCreateNearby(type, pos, count) {
+    while (count > 0) {
+        let tile = findNearestOpenTile(pos, type);
+        if (!tile) break;
+        let dropped = Math.min(count, tileSpaceFor(tile, type));
+        itemCreateOnGround(type, tile, dropped);
+        count -= dropped;
+    }
+    return count;
+}
+
+/**
+ * Hand over carried items to an order; they're used up
+ * @param {Colonist} colonist
+ * @param {Item} item
+ * @param {Order} order
+ * @returns {boolean} false if the order didn't need all of them
+ */
+function itemDeliver(colonist, item, order) {
+    if (item.pos !== colonist) throw `Can't deliver item ${item.type} that's not carried`;
+    let count = Math.min(item.count, orderRemaining(order, item.type));
+    order.delivered[item.type] = (order.delivered[item.type] ?? 0) + count;
+    item.count -= count;
+    if (item.count > 0) return false;
+    itemRemove(item);
+    colonist.inventory = null;
+    return true;
+}
+
+/**
+ * Drop carried items, adding to the stack on the tile
+ * @param {Colonist} colonist;
+ * @param {Item} item
+ * @returns {boolean} false if they didn't all fit
+ */
+function itemDrop(colonist, item) {
+    if (item.pos !== colonist) throw `Can't drop item ${item.type} that's not carried`;
+    let stack = findItemOnTile(colonist.pos);
+    if (!stack) {
+        item.pos = colonist.pos;
+        colonist.inventory = null;
+        return true;
+    }
+    let count = Math.min(item.count, tileSpaceFor(colonist.pos, item.type));
+    stack.count += count;
+    item.count -= count;
+    if (item.count > 0) return false;
+    itemRemove(item);
+    colonist.inventory = null;
+    return true;
+}
+
+//////////////////////////////////////////////////////////////////////
+// Stockpiles
+
+// Without these, outputs get dropped anywhere in the room, which then
+// fills up. The player drags out zones, optionally for only some item
+// types, and outputs go there, and idle colonists haul loose items there.
+export const stockpiles = {
+    _id: 0,
+    /** @type {Zone[]} */
+    zones: [],
+    HAUL_PRIORITY: -1, // lower than all furniture, so only idle colonists haul
+
+    /**
+     * @param {Zone} zone
+     * @param {ItemType} type
+     */
+    accepts(zone, type) {
+        return zone.filter === null || zone.filter.includes(type);
+    },
+
+    /**
+     * @param {Position} pos
+     * @returns {Zone | undefined} the most recent zone containing pos
+     */
+    zoneAt(pos) {
+        return this.zones.findLast(({rect}) =>
+            rect.left <= pos.x && pos.x < rect.right && rect.top <= pos.y && pos.y < rect.bottom);
+    },
+
+    /**
+     * Is the item sitting in a zone that wants it?
+     * @param {Item} item
+     */
+    isStored(item) {
+        if (!isItemPosOnGround(item.pos)) return false;
+        let zone = this.zoneAt(item.pos);
+        return zone !== undefined && this.accepts(zone, item.type);
+    },
+
+    /**
+     * Tiles in a zone that can hold items: inside a room, and not under
+     * any furniture (including its stand and inputs)
+     * @param {Zone} zone
+     * @returns {Position[]}
+     */
+    tiles(zone) {
+        let result = [];
+        for (let y = zone.rect.top; y < zone.rect.bottom; y++) {
+            for (let x = zone.rect.left; x < zone.rect.right; x++) {
+                let pos = Pos(x, y);
+                let room = unlockedRoomAtPosition(pos);
+                if (!room) continue;
+                if (this.zoneAt(pos) !== zone) continue; // a newer zone covers it
+                let underFurniture = allFurniturePositions(room).some((f) =>
+                    positionsOccupiedByFurniture(room, f).has(pos.toString()));
+                if (!underFurniture) result.push(pos);
+            }
+        }
+        return result;
+    },
+
+    /**
+     * Find an unreserved zone tile with room for an item type. Topping
+     * up a stack of the same type comes first, so that the zone doesn't
+     * fill up with lots of small stacks.
+     * @param {ItemType} type
+     * @param {Position} near - prefer tiles close to here
+     * @returns {Position | null}
+     */
+    findTile(type, near) {
+        let best = null, bestScore = Infinity;
+        for (let zone of this.zones) {
+            if (!this.accepts(zone, type)) continue;
+            for (let pos of this.tiles(zone)) {
+                if (tileSpaceFor(pos, type) <= 0) continue;
+                if (jobs.lookupDest(pos)) continue;
+                if (jobs.isUnreachable(pos.toString())) continue;
+                let score = Math.abs(pos.x - near.x) + Math.abs(pos.y - near.y);
+                if (!findItemOnTile(pos)) score += 1e6; // empty tiles last
+                if (score < bestScore) {
+                    best = pos;
+                    bestScore = score;
+                }
+            }
+        }
+        return best;
+    },
+};
+
+
+//////////////////////////////////////////////////////////////////////
+// Crops
+
+// A field has to be tilled, planted, watered while it grows, and then
+// harvested, each a separate job, before it makes any food. The crop only grows while it's watered, and dies if
+// it stays dry too long. The better it's looked after, the more food.
+export const crops = {
+    /** @type {{[pos: string]: Field}} - by furniture position; missing means untilled */
+    fields: {},
+
+    /**
+     * @param {Position} pos - of the furniture
+     * @returns {Field}
+     */
+    field(pos) {
+        return this.fields[pos.toString()] ??= {stage: 'untilled', growth: 0, plantedAt: null, wateredAt: null};
+    },
+
+    /**
+     * @param {Crop} crop
+     * @param {Field} field
+     */
+    isDry(crop, field) {
+        const wet = field.wateredAt ?? -Infinity;
+        return simulation.tickId - wet >= crop.waterLastsDays * simulation.TICKS_PER_DAY;
+    },
+
+    /**
+     * @param {Crop} crop
+     * @param {Field} field
+     * @returns {CropWork | null} the job the field needs next
+     */
+    workNeeded(crop, field) {
+        switch (field.stage) {
+            case 'untilled': case 'dead': return 'till';
+            case 'tilled': return 'plant';
+            case 'planted': return this.isDry(crop, field) ? 'water' : null;
+            case 'ripe': return 'harvest';
+        }
+    },
+
+    /**
+     * The care is the fraction of the time since planting that the
+     * crop was growing
+     * @param {Crop} crop
+     * @param {Field} field
+     * @returns {number}
+     */
+    harvestYield(crop, field) {
+        const elapsed = Math.max(1, simulation.tickId - field.plantedAt);
+        const care = Math.min(1, field.growth / elapsed);
+        return Math.round(crop.yield.min + care * (crop.yield.max - crop.yield.min));
+    },
+
+    /**
+     * Grow the watered crops, and kill the ones that have been dry too long
+     */
+    simulate() {
+        for (let room of map.rooms) {
+            const crop = roomCharacteristics[room.type].furnitureShape?.crop;
+            if (!crop) continue;
+            for (let furniture of room.furniture) {
+                let field = this.fields[furniture.toString()];
+                if (field?.stage !== 'planted') continue;
+                if (!this.isDry(crop, field)) {
+                    field.growth++;
+                    if (field.growth >= crop.growDays * simulation.TICKS_PER_DAY) field.stage = 'ripe';
+                } else if (simulation.tickId - (field.wateredAt ?? field.plantedAt)
+                           >= (crop.waterLastsDays + crop.diesAfterDays) * simulation.TICKS_PER_DAY) {
+                    field.stage = 'dead';
+                    logMessage(`The crop at ${furniture} died without water`);
+                }
+            }
+        }
+    },
+};
+
+
+//////////////////////////////////////////////////////////////////////
+// Map
+
+/** @type{GameMap} */
+export let map = generateMap({}, roomGenerationTable(), resourceGenerationTable()); // global, replaced by createWorld() and restore()
+
+/**
+ * Start over with a freshly generated map and colonists
+ * @param {Partial<MapOptions>} mapOptions
+ */
+export function createWorld(mapOptions) {
+    map = generateMap(mapOptions, roomGenerationTable(), resourceGenerationTable());
+    // The old world's jobs would reserve tiles in the new one
+    jobs.table = [];
+    jobs.candidates = [];
+    jobs.unreachable = new Map();
+    for (let room of map.rooms) { // have some rooms unlocked initially
+        if (room.q < 1) unlockRoom(map, room);
+    }
+    const fits = (room, pos) => Array.from(positionsOccupiedByFurniture(room, pos).values())
+          .every((p) => isPositionInRoomBuildable(room, p));
+    // Place some initial furniture, in the first room of each of these types
+    for (let type of ['dining', 'farm', 'kitchen', 'lumber_camp']) {
+        let room = map.rooms.find((room) => room.unlocked && room.type === type);
+        if (!room) continue;
+        let pos = Pos(room.rect.left + 2, room.rect.top + 1);
+        if (fits(room, pos)) room.furniture.push(pos);
+    }
+    // and a bed for each of the starting colonists, every other tile so
+    // that there's room to walk between them, or else they all end up
+    // sleeping on the floor the first night
+    let beds = simulation.STARTING_COLONISTS;
+    for (let room of map.rooms.filter((room) => room.unlocked && room.type === 'bedroom')) {
+        for (let y = room.rect.top + 1; y < room.rect.bottom && beds > 0; y += 2) {
+            for (let x = room.rect.left + 1; x < room.rect.right && beds > 0; x += 2) {
+                let pos = Pos(x, y);
+                if (!fits(room, pos)) continue;
+                room.furniture.push(pos);
+                beds--;
+            }
+        }
+    }
+    stockpiles.zones = [];
+    stockpiles._id = 0;
+    crops.fields = {};
+    population.stats = {arrived: 0, died: 0, left: 0, peak: 0};
+    combat.creatures = [];
+    combat.defenses = [];
+    combat._id = 0;
+    goals.reset(goals.DEFAULT_OBJECTIVES);
+    jobs.planner = 'greedy';
+    jobs.stockpileTargets = {};
+    jobs.plan = null;
+    jobs.assignmentStats = {jobs: 0, greedy: 0, optimal: 0, totalGreedy: 0, totalOptimal: 0};
+    jobs._id = 0;
+    Colonist._id = 0;
+    _nextItemId = 0;
+    simulation.rng = seededRandom(map.options.seed);
+    setRandom(simulation.rng);
+    simulation.init();
+}
+
+/**
+ * A world set up for a specific situation, for trying things out
+ * without playing up to that point. Starts from createWorld() and then
+ * replaces whatever the scenario declares. Listing any rooms clears
+ * the furniture from all the rooms, so that only the declared
+ * furniture exists.
+ * @param {Scenario} scenario
+ */
+export function createScenario(scenario) {
+    createWorld(scenario.mapOptions ?? {});
+    if (scenario.rooms) {
+        for (let room of map.rooms) room.furniture = [];
+    }
+    for (let declared of scenario.rooms ?? []) {
+        let room = map.rooms.find((room) => room.id === declared.id);
+        if (!room) throw `Scenario room ${declared.id} not in map`;
+        if (declared.type) room.type = declared.type;
+        if (!room.unlocked) unlockRoom(map, room);
+        for (let pos of (declared.furniture ?? []).map(posFromJson)) {
+            if (!Array.from(positionsOccupiedByFurniture(room, pos).values())
+                .every((p) => isPositionInRoomBuildable(room, p))) {
+                throw `Scenario furniture at ${pos} doesn't fit in room ${room.id}`;
+            }
+            room.furniture.push(pos);
+        }
+    }
+    for (let declared of scenario.items ?? []) {
+        itemCreateOnGround(declared.type, posFromJson(declared.pos), declared.count ?? 1);
+    }
+    if (scenario.colonists) {
+        Colonist._id = 0;
+        simulation.colonists = scenario.colonists.map((pos) => new Colonist(posFromJson(pos)));
+    }
+    if (scenario.objectives) goals.reset(scenario.objectives);
+}
+
+//////////////////////////////////////////////////////////////////////
+// Pathfinding
+
+// Furniture and items slow colonists down but don't block them
+const MOVEMENT_COST_OPEN = 1;
+const MOVEMENT_COST_OCCUPIED = 4;
+
+/**
+ * Every tile under built or planned furniture
+ * @returns {Set<string>}
+ */
+function furnitureTiles() {
+    let tiles = new Set();
+    for (let room of map.rooms) {
+        for (let f of allFurniturePositions(room)) {
+            for (let p of positionsOccupiedByFurniture(room, f).keys()) tiles.add(p);
+        }
+    }
+    return tiles;
+}
+
+/**
+ * Movement cost of every tile that isn't open
+ * @returns {Map<string, number>}
+ */
+function movementCosts() {
+    /** @type {Map<string, number>} */
+    let costs = new Map();
+    for (let p of furnitureTiles()) costs.set(p, MOVEMENT_COST_OCCUPIED);
+    for (let item of map.items) {
+        if (isItemPosOnGround(item.pos)) costs.set(item.pos.toString(), MOVEMENT_COST_OCCUPIED);
+    }
+    return costs;
+}
+
+/**
+ * Binary heap of [priority, value], lowest priority first
+ */
+class PriorityQueue {
+    constructor() {
+        /** @type {Array<[number, any]>} */
+        this.heap = [];
+    }
+
+    get length() { return this.heap.length; }
+
+    push(priority, value) {
+        const heap = this.heap;
+        heap.push([priority, value]);
+        let i = heap.length - 1;
+        while (i > 0) {
+            let parent = (i - 1) >> 1;
+            if (heap[parent][0] <= heap[i][0]) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const heap = this.heap;
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                let smallest = i;
+                for (let child of [2*i + 1, 2*i + 2]) {
+                    if (child < heap.length && heap[child][0] < heap[smallest][0]) smallest = child;
+                }
+                if (smallest === i) break;
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top[1];
+    }
+}
+
+/**
+ * @param {GameMap} map
+ * @param {Position} start
+ * @param {Position} goal
+ * @param {Map<string, number>} costs - from movementCosts()
+ */
+function aStarSearch(map, start, goal, costs) {
+    // see https://www.redblobgames.com/pathfinding/a-star/introduction.html
+    // for the algorithm itself, and this hack to make paths prettier with
+    // movement costs, by nudging the costs in a checkerboard pattern:
+    // https://www.redblobgames.com/pathfinding/a-star/implementation.html#ties-checkerboard-costs
+    const DIRS = [[-1, 0], [0, +1], [+1, 0], [0, -1]];
+    const NUDGE = 0.001;
+    const heuristic = (pos) => Math.abs(pos.x - goal.x) + Math.abs(pos.y - goal.y);
+    let cost_so_far = {}; cost_so_far[start] = 0;
+    let came_from = {}; came_from[start] = null;
+    let frontier = new PriorityQueue();
+    frontier.push(0, start);
+    while (frontier.length > 0) {
+        let pos = frontier.pop();
+        if (pos.equals(goal)) return {cost_so_far, came_from};
+        const parity = (pos.x + pos.y) % 2;
+        for (let [dx, dy] of DIRS) {
+            let neighbor = Pos(pos.x + dx, pos.y + dy);
+            if (!map.walkable.has(neighbor.toString())) continue;
+            let nudge = (parity === 0 && dx !== 0) || (parity !== 0 && dy !== 0) ? NUDGE : 0;
+            let new_cost = cost_so_far[pos] + (costs.get(neighbor.toString()) ?? MOVEMENT_COST_OPEN) + nudge;
+            if (cost_so_far[neighbor] === undefined || new_cost < cost_so_far[neighbor]) {
+                cost_so_far[neighbor] = new_cost;
+                came_from[neighbor] = pos;
+                frontier.push(new_cost + heuristic(neighbor), neighbor);
+            }
+        }
+    }
+    return null; // unreachable
+}
+
+/**
+ * @param {GameMap} map
+ * @param {Position} start
+ * @param {Position} goal
+ * @returns {Position[] | null} reverse order of tiles to visit; slow tiles are
+ *     repeated so that the colonist spends more ticks on them. Null if the
+ *     goal is unreachable, which can happen, so callers have to handle it.
+ */
+export function findPath(map, start, goal) {
+    const costs = movementCosts();
+    let search = aStarSearch(map, start, goal, costs);
+    if (!search) return null;
+    let path = [];
+    let current = goal;
+    while (!current.equals(start)) {
+        let repeat = costs.get(current.toString()) ?? MOVEMENT_COST_OPEN;
+        for (let i = 0; i < repeat; i++) path.push(current);
+        current = search.came_from[current];
+    }
+    return path;
+}
+
+/**
+ * Walking cost from every tile to the goal, stopping early once all
+ * the positions we care about have been reached
+ * @param {GameMap} map
+ * @param {Position} goal
+ * @param {Map<string, number>} costs - from movementCosts()
+ * @param {Position[]} wanted
+ * @returns {Map<string, number>} unreachable tiles are missing
+ */
+function distanceField(map, goal, costs, wanted) {
+    const DIRS = [[-1, 0], [0, +1], [+1, 0], [0, -1]];
+    let remaining = new Set(wanted.map(String));
+    /** @type {Map<string, number>} */
+    let distance = new Map([[goal.toString(), 0]]);
+    let frontier = new PriorityQueue();
+    frontier.push(0, goal);
+    while (frontier.length > 0 && remaining.size > 0) {
+        let pos = frontier.pop();
+        remaining.delete(pos.toString());
+        // Walking *towards* the goal, so it costs whatever it costs to enter pos
+        let step = costs.get(pos.toString()) ?? MOVEMENT_COST_OPEN;
+        for (let [dx, dy] of DIRS) {
+            let neighbor = Pos(pos.x + dx, pos.y + dy);
+            if (!map.walkable.has(neighbor.toString())) continue;
+            let new_cost = distance.get(pos.toString()) + step;
+            if (new_cost < (distance.get(neighbor.toString()) ?? Infinity)) {
+                distance.set(neighbor.toString(), new_cost);
+                frontier.push(new_cost, neighbor);
+            }
+        }
+    }
+    return distance;
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// Assignment
+
+/**
+ * Minimum cost assignment of rows to columns (Hungarian algorithm,
+ * aka Munkres-Kuhn, which Goblin Camp uses for jobs). There must be at
+ * least as many columns as rows. Runs in O(rows² × columns). Based on
+ * https://e-maxx.ru/algo/assignment_hungary
+ * @param {number[][]} cost - finite numbers, cost[row][column]
+ * @returns {number[]} the column for each row
+ */
+function hungarianAssignment(cost) {
+    const n = cost.length, m = n > 0 ? cost[0].length : 0;
+    if (n > m) throw `Assignment needs at least as many columns as rows, got ${n}×${m}`;
+    // 1-indexed, with row/column 0 as a sentinel
+    let u = new Array(n + 1).fill(0), v = new Array(m + 1).fill(0);
+    let p = new Array(m + 1).fill(0), way = new Array(m + 1).fill(0);
+    for (let i = 1; i <= n; i++) {
+        p[0] = i;
+        let j0 = 0;
+        let minv = new Array(m + 1).fill(Infinity);
+        let used = new Array(m + 1).fill(false);
+        do {
+            used[j0] = true;
+            let i0 = p[j0], delta = Infinity, j1 = 0;
+            for (let j = 1; j <= m; j++) {
+                if (used[j]) continue;
+                let reduced = cost[i0 - 1][j - 1] - u[i0] - v[j];
+                if (reduced < minv[j]) { minv[j] = reduced; way[j] = j0; }
+                if (minv[j] < delta) { delta = minv[j]; j1 = j; }
+            }
+            for (let j = 0; j <= m; j++) {
+                if (used[j]) { u[p[j]] += delta; v[j] -= delta; }
+                else minv[j] -= delta;
+            }
+            j0 = j1;
+        } while (p[j0] !== 0);
+        do {
+            let j1 = way[j0];
+            p[j0] = p[j1];
+            j0 = j1;
+        } while (j0);
+    }
+    let result = new Array(n);
+    for (let j = 1; j <= m; j++) {
+        if (p[j]) result[p[j] - 1] = j - 1;
+    }
+    return result;
+}
+
+//////////////////////////////////////////////////////////////////////
+// Jobs
+
+export const jobs = {
+    _id: 0,
+
+    /** @type{Job[]} */
+    table: [],
+
+    _lookup(field, value) {
+        return this.table.find((row) => row[field] === value);
+    },
+
+    /** @param{Position} dest */
+    lookupDest(dest) {
+        return this.table.find((row) => dest.equals(row.dest));
+    },
+
+    /** @param{Position} stand */
+    lookupStand(stand) {
+        return this.table.find((row) => row.stand && stand.equals(row.stand));
+    },
+
+    /** @param{Item} item */
+    lookupItem(item) {
+        return this._lookup('item', item);
+    },
+
+    /** @param{Colonist} colonist */
+    lookupColonist(colonist) {
+        return this._lookup('colonist', colonist);
+    },
+
+    /**
+     * @param {Colonist} colonist
+     * @returns {boolean} true if the colonist can be given a job
+     */
+    isFree(colonist) {
+        return !this.lookupColonist(colonist) && !Colonist.INTERRUPT_STATES.includes(colonist.state);
+    },
+
+    /** Priority of the scan that's running, for findFreeColonist() */
+    scanPriority: 0,
+    /** Work priority level of the scans that are running, see workTypes */
+    scanLevel: 1,
+
+    /**
+     * The first free colonist who is willing to do a job at the
+     * priority that's being scanned, and who does this kind of work at
+     * the level that's being scanned. The assignment step may give the
+     * job to someone else afterwards.
+     * @param {WorkType | null} work - null for jobs that aren't work, like eating
+     * @param {(colonist: Colonist) => boolean} [predicate]
+     * @param {(colonist: Colonist) => number} [rank] - if given, the free colonist that's highest on this instead of the first
+     * @returns {Colonist | undefined}
+     */
+    findFreeColonist(work, predicate = (_colonist) => true, rank = undefined) {
+        let free = simulation.colonists.filter((colonist) =>
+            this.isFree(colonist) && !needs.refuses(colonist, this.scanPriority)
+            && workTypes.allows(colonist, work, this.scanLevel) && predicate(colonist));
+        if (!rank) return free[0];
+        return free.reduce((best, colonist) => rank(colonist) > rank(best) ? colonist : best, free[0]);
+    },
+
+    // Items and positions that a colonist couldn't reach; no new jobs
+    // use them until the cooldown is over
+    UNREACHABLE_TICKS: 200,
+    /** @type {Map<string, number>} item id or position -> tickId when it can be retried */
+    unreachable: new Map(),
+
+    /** @param {string} key - item id or position string */
+    markUnreachable(key) {
+        this.unreachable.set(key, simulation.tickId + this.UNREACHABLE_TICKS);
+    },
+
+    /** @param {string} key - item id or position string */
+    isUnreachable(key) {
+        let until = this.unreachable.get(key);
+        if (until === undefined) return false;
+        if (simulation.tickId < until) return true;
+        this.unreachable.delete(key);
+        return false;
+    },
+
+    EXCAVATE_TICKS: 15, // per tile
+    EXCAVATE_TILES_PER_STONE: 3,
+    /** @type {{[tool: string]: number}} - fraction of the ticks it takes with this tool */
+    EXCAVATE_TOOLS: {pick: 0.5},
+
+    /**
+     * Items on a furniture input tile, including the ones on their way
+     * @param {Position} pos
+     * @returns {number}
+     */
+    inputCount(pos) {
+        let job = this.lookupDest(pos);
+        return (findItemOnTile(pos)?.count ?? 0) + (job?.type === 'transport' ? this.transportCount(job) : 0);
+    },
+
+    /** @param{Order} order */
+    lookupOrder(order) {
+        return this.table.filter((row) => row.order === order);
+    },
+
+    /**
+     * How many items a transport job moves. Until they're picked up,
+     * job.item is the whole stack, which may have shrunk since.
+     * @param {Job} job
+     * @returns {number}
+     */
+    transportCount(job) {
+        return Math.min(job.count ?? 1, job.item.count);
+    },
+
+    /**
+     * @param {Order} order
+     * @param {ItemType} type
+     * @returns {number} items of this type on their way to the order
+     */
+    inFlight(order, type) {
+        return this.lookupOrder(order)
+            .filter((job) => job.item.type === type)
+            .reduce((sum, job) => sum + this.transportCount(job), 0);
+    },
+
+    /**
+     * @param {Room} room
+     * @param {Position | undefined} furniture
+     * @param {Colonist} colonist
+     * @param {Item} item - the stack to take from
+     * @param {Position} dest
+     * @param {Order} [order]
+     * @param {number} [count] - how many to take from the stack
+     */
+    addTransportJob(room, furniture, colonist, item, dest, order=undefined, count=1) {
+        // NOTE: although in general, a colonist only has a path
+        // because they're on a job, a production job with no output
+        // will have the colonist walk away even after the job is
+        // complete. In that case, we have a non-empty path here and
+        // need to abandon that path.
+        colonist.path = [];
+        this.table.push({
+            id: "j" + (++this._id), type: 'transport',
+            room, furniture, colonist, item, dest, order, count,
+            stand: undefined, timeCompleted: undefined,
+        });
+    },
+
+    /**
+     * @param {Room} room
+     * @param {Position} furniture
+     * @param {Colonist} colonist
+     * @param {Position} stand
+     * @param {Position} dest
+     * @param {number} recipe - index into the furniture's recipes
+     */
+    addProductionJob(room, furniture, colonist, stand, dest, recipe) {
+        colonist.path = []; // NOTE: see addTransportJob
+        this.table.push({
+            id: "j" + (++this._id), type: 'production',
+            room, furniture, colonist, stand, dest, recipe,
+            item: undefined, timeCompleted: null
+        });
+    },
+
+    /**
+     * @param {ResourceNode} node
+     * @param {Colonist} colonist
+     * @param {Position} dest - where the gathered item goes
+     */
+    addGatherJob(node, colonist, dest) {
+        colonist.path = []; // NOTE: see addTransportJob
+        this.table.push({
+            id: "j" + (++this._id), type: 'gather',
+            room: map.wilderness, furniture: node.pos, colonist, stand: node.pos, dest,
+            item: undefined, timeCompleted: null
+        });
+    },
+
+    /**
+     * @param {Room} room
+     * @param {Position} furniture
+     * @param {Colonist} colonist
+     * @param {Position} stand
+     * @param {Position} dest - where the harvest goes, or where to step away to
+     * @param {CropWork} work
+     */
+    addTendJob(room, furniture, colonist, stand, dest, work) {
+        colonist.path = []; // NOTE: see addTransportJob
+        this.table.push({
+            id: "j" + (++this._id), type: 'tend',
+            room, furniture, colonist, stand, dest, work,
+            item: undefined, timeCompleted: null
+        });
+    },
+
+    /**
+     * The colonist picks up a tool to keep
+     * @param {Colonist} colonist
+     * @param {Item} item - the stack to take one from
+     */
+    addEquipJob(colonist, item) {
+        colonist.path = []; // NOTE: see addTransportJob
+        const pos = /** @type {Position} */(item.pos);
+        this.table.push({
+            id: "j" + (++this._id), type: 'equip',
+            room: unlockedRoomAtPosition(pos) ?? map.wilderness, furniture: undefined,
+            colonist, item, dest: pos,
+            stand: undefined, timeCompleted: undefined,
+        });
+    },
+
+    addConstructJob(room, furniture, colonist, stand, dest) {
+        colonist.path = []; // NOTE: see addTransportJob
+        this.table.push({
+            id: "j" + (++this._id), type: 'construct',
+            room, furniture, colonist, stand, dest,
+            item: undefined, timeCompleted: null
+        });
+    },
+
+    addExcavateJob(room, colonist, stand, dest) {
+        colonist.path = []; // NOTE: see addTransportJob
+        this.table.push({
+            id: "j" + (++this._id), type: 'excavate',
+            room, furniture: undefined, colonist, stand, dest,
+            item: undefined, timeCompleted: null
+        });
+    },
+
+    addFortifyJob(room, colonist, stand) {
+        colonist.path = []; // NOTE: see addTransportJob
+        this.table.push({
+            id: "j" + (++this._id), type: 'fortify',
+            room, furniture: stand, colonist, stand, dest: stand,
+            item: undefined, timeCompleted: null
+        });
+    },
+
+    addPumpJob(room, colonist, stand) {
+        colonist.path = []; // NOTE: see addTransportJob
+        this.table.push({
+            id: "j" + (++this._id), type: 'pump',
+            room, furniture: undefined, colonist, stand, dest: stand,
+            item: undefined, timeCompleted: null
+        });
+    },
+
+    /** @param{Job} job */
+    deleteJob(job) {
+        job.type = "#deleted#";
+        let index = this.table.indexOf(job);
+        if (index < 0) throw "Deleting job not in table";
+        this.table.splice(index, 1);
+    },
+
+    /**
+     * Create transport jobs to bring an order's remaining items to dest
+     * @param {Room} room
+     * @param {Position | undefined} furniture
+     * @param {Order} order
+     * @param {Position} dest
+     * @param {Set<string>} furnitureInputPositions
+     * @param {string} label - for the debug table
+     */
+    addDeliveryJobs(room, furniture, order, dest, furnitureInputPositions, label) {
+        if (this.isUnreachable(dest.toString())) {
+            this.candidates.push({room, furniture: furniture ?? dest, status: `${label}: destination unreachable`});
+            return;
+        }
+        for (let type of /** @type {ItemType[]} */(Object.keys(order.cost))) {
+            const input = {type};
+            let needed = orderRemaining(order, type) - this.inFlight(order, type);
+            while (needed > 0) {
+                let colonist = this.findFreeColonist('haul');
+                if (!colonist) {
+                    this.candidates.push({room, furniture: furniture ?? dest, input, status: `${label}: no colonist available`});
+                    break;
+                }
+                let items = findAvailableItemsOfType(type, furnitureInputPositions);
+                if (!items.length) {
+                    this.candidates.push({room, furniture: furniture ?? dest, input, status: `${label}: no items available`});
+                    break;
+                }
+                let count = Math.min(needed, items[0].count, colonist.carryCapacity());
+                this.addTransportJob(room, furniture, colonist, items[0], dest, order, count);
+                needed -= count;
+            }
+        }
+    },
+
+    candidates: [], // For debugging
+
+    // Player orders (unlocking, construction) are less important than
+    // basic needs (eating, sleeping) but more important than production,
+    // which would otherwise keep everyone busy all the time
+    ORDER_PRIORITY: 15,
+
+    // The greedy planner runs every piece of furniture whenever someone
+    // is free, so farms keep making food that nobody eats. The demand
+    // planner works backwards (like Transport Fever) from what's going
+    // to be consumed: meals for hungry colonists, the items player
+    // orders need, and stockpile targets, through the recipes, and only
+    // makes jobs for that.
+    /** @type {PlannerMode[]} */
+    PLANNER_MODES: ['greedy', 'demand'],
+    /** @type {PlannerMode} */
+    planner: 'greedy',
+    /** @type {ItemCounts} - the demand planner keeps this many spare items around */
+    stockpileTargets: {},
+    // Whatever the stockpile targets are, the demand planner keeps this
+    // many meals per colonist around, and what they're made from, and
+    // this many on each table. Hunger can't wait for the field to grow.
+    MINIMUM_STOCK: 1,
+    /** @type {DemandPlan | null} - this tick's plan, when using the demand planner */
+    plan: null,
+
+    /**
+     * Work out how many of each item type need to be made
+     * @param {Set<string>} furnitureInputPositions
+     * @returns {DemandPlan}
+     */
+    planDemand(furnitureInputPositions) {
+        /** @type {DemandPlan} */
+        let plan = {demand: {}, free: {}, pending: {}, need: {}, consumers: {}, claimed: new Map()};
+        const add = (counts, type, n) => { counts[type] = (counts[type] ?? 0) + n; };
+
+        // Items already on their way to be used up aren't free
+        /** @type {Map<Item, number>} */
+        let committed = new Map();
+        for (let job of this.table) {
+            if (job.type === 'transport' && (job.order || job.furniture)) committed.set(job.item, this.transportCount(job));
+        }
+        for (let item of map.items) {
+            if (isItemPosOnGround(item.pos) && furnitureInputPositions.has(item.pos.toString())) committed.set(item, item.count);
+        }
+        for (let colonist of simulation.colonists) {
+            if (colonist.tool) committed.set(colonist.tool, colonist.tool.count);
+        }
+        for (let item of map.items) {
+            add(plan.free, item.type, item.count - (committed.get(item) ?? 0));
+        }
+
+        /** @type {{[type: string]: Recipe}} */
+        let producers = {};
+        for (let room of map.rooms) {
+            const shape = roomCharacteristics[room.type].furnitureShape;
+            if (!shape) continue;
+            for (let recipe of shape.recipes) {
+                // only furniture that's been built can make anything
+                if (recipe.output && room.furniture.length > 0) producers[recipe.output] ??= recipe;
+            }
+            const produces = shape.recipes.some((recipe) => recipe.output);
+            for (let furniture of room.furniture) {
+                let stand = Pos(furniture.x + shape.stand.x, furniture.y + shape.stand.y);
+                let inputPositions = shape.inputs.map((input) =>
+                    Pos(furniture.x + input.pos.x, furniture.y + input.pos.y));
+                let loaded = inputPositions.map((pos) => this.inputCount(pos));
+                if (produces) {
+                    // Output that's going to be made without any more jobs
+                    let job = this.lookupStand(stand);
+                    // (with several recipes, it isn't known which one yet)
+                    let recipe = job?.type === 'production' && !job.item ? jobRecipe(job)
+                        : shape.inputs.length > 0 && shape.recipes.length === 1
+                            && recipeIsLoaded(shape, shape.recipes[0], loaded) ? shape.recipes[0]
+                        : undefined;
+                    if (recipe?.output) add(plan.pending, recipe.output, 1);
+                } else {
+                    // Consumers like tables: already loaded ones will feed someone
+                    for (let i = 0; i < shape.inputs.length; i++) {
+                        if (loaded[i]) add(plan.consumers, shape.inputs[i].type, -1);
+                    }
+                }
+            }
+        }
+
+        for (let job of this.table) {
+            if (job.type === 'gather' && !job.item) add(plan.pending, jobRecipe(job).output, 1);
+        }
+        // Crops that are in the ground, at what they'd yield right now
+        for (let room of map.rooms) {
+            const crop = roomCharacteristics[room.type].furnitureShape?.crop;
+            if (!crop) continue;
+            for (let furniture of room.furniture) {
+                let field = crops.fields[furniture.toString()];
+                if (field?.stage === 'planted' || field?.stage === 'ripe') {
+                    add(plan.pending, crop.output, crops.harvestYield(crop, field));
+                }
+            }
+        }
+
+        // Colonists who will soon need to eat (or sleep) consume the
+        // inputs of the furniture that restores the need
+        for (let {furnitureShape} of Object.values(roomCharacteristics)) {
+            if (!furnitureShape?.restores) continue;
+            let count = needs.wantedSoon(furnitureShape);
+            for (let input of furnitureShape.inputs) add(plan.consumers, input.type, count);
+        }
+
+        /** @type {Array<[string, number]>} */
+        let roots = Object.entries(plan.consumers).filter(([_, count]) => count > 0);
+        // The minimum stock comes right after them, ahead of the orders
+        for (let {furnitureShape} of Object.values(roomCharacteristics)) {
+            if (!furnitureShape?.restores) continue;
+            let count = this.MINIMUM_STOCK * simulation.colonists.length;
+            for (let input of furnitureShape.inputs) {
+                roots.push([input.type, count]);
+                for (let [ingredient, n] of Object.entries(producers[input.type]?.inputs ?? {})) roots.push([ingredient, count * n]);
+            }
+        }
+        let orders = combat.defenses.map((defense) => defense.order);
+        for (let room of map.rooms) {
+            orders.push(room.unlockOrder, ...room.blueprints.map((blueprint) => blueprint.order));
+        }
+        for (let order of orders) {
+            if (!order) continue;
+            for (let type of Object.keys(order.cost)) {
+                roots.push([type, orderRemaining(order, /** @type {ItemType} */(type))
+                            - this.inFlight(order, /** @type {ItemType} */(type))]);
+            }
+        }
+        // Colonists without a tool want one, of the kind fewest have
+        /** @type {ItemCounts} */
+        let held = {};
+        for (let type of toolTypes()) held[type] = 0;
+        for (let colonist of simulation.colonists) {
+            let job = this.lookupColonist(colonist);
+            let tool = colonist.tool ?? (job?.type === 'equip' ? job.item : null);
+            if (tool) held[tool.type]++;
+        }
+        for (let colonist of simulation.colonists) {
+            if (colonist.tool || this.lookupColonist(colonist)?.type === 'equip') continue;
+            let [type] = Object.entries(held).reduce((a, b) => b[1] < a[1] ? b : a);
+            held[type]++;
+            roots.push([type, 1]);
+        }
+        roots.push(...Object.entries(this.stockpileTargets)); // lowest priority
+
+        // Use up free and pending items first, then make the rest,
+        // which needs the recipe's inputs
+        let free = {...plan.free}, pending = {...plan.pending};
+        const require = (type, count, depth) => {
+            if (count <= 0) return;
+            add(plan.demand, type, count);
+            for (let supply of [free, pending]) {
+                let used = Math.min(count, supply[type] ?? 0);
+                add(supply, type, -used);
+                count -= used;
+            }
+            if (count <= 0) return;
+            add(plan.need, type, count);
+            if (depth > 10) return; // recipes shouldn't be this deep, but don't loop forever
+            for (let [input, n] of Object.entries(producers[type]?.inputs ?? {})) require(input, count * n, depth + 1);
+        };
+        for (let [type, count] of roots) require(type, count, 0);
+        return plan;
+    },
+
+    /**
+     * @param {Room} room
+     * @param {Set<string>} furnitureInputPositions
+     */
+    scanFurniture(room, furnitureInputPositions) {
+        const {plan} = this;
+        if (hazards.isFlooded(room)) {
+            if (room.furniture.length > 0) this.candidates.push({room, furniture: room.furniture[0], status: "Flooded"});
+            return;
+        }
+        for (let furniture of room.furniture) {
+            const {furnitureShape} = roomCharacteristics[room.type];
+            if (furnitureShape.crop) {
+                this.scanField(room, furniture, furnitureShape);
+                continue;
+            }
+            // Determine if a recipe's inputs are all there (production
+            // job candidate) or if not, which inputs need topping up
+            // (transport job candidates)
+            const produces = furnitureShape.recipes.some((recipe) => recipe.output);
+            let inputs = furnitureShape.inputs;
+            let inputPositions = inputs.map((input) =>
+                Pos(furniture.x + input.pos.x, furniture.y + input.pos.y));
+            let inputItems = inputPositions.map(findItemOnTile);
+            let inputCounts = inputItems.map((item) => item?.count ?? 0);
+
+            // The recipes this furniture should make, best first
+            let wanted = furnitureShape.recipes.map((recipe, index) => ({recipe, index}));
+            if (plan && produces) {
+                // Only make things that are needed. Furniture with one
+                // recipe that's already loaded was counted in the plan.
+                let loadedCounts = inputPositions.map((pos) => this.inputCount(pos));
+                let isLoaded = ({recipe}) => recipeIsLoaded(furnitureShape, recipe, loadedCounts);
+                let claimed = plan.claimed.get(furniture.toString());
+                if (claimed !== undefined) {
+                    // Counted by an earlier pass of the scans, see simulate()
+                    wanted = [wanted[claimed]];
+                } else if (!(wanted.length === 1 && inputs.length > 0 && isLoaded(wanted[0]))) {
+                    wanted = wanted.filter(({recipe}) => plan.need[recipe.output] > 0);
+                    if (wanted.length === 0) {
+                        let outputs = furnitureShape.recipes.map((recipe) => recipe.output).join("/");
+                        this.candidates.push({room, furniture, status: `No demand for ${outputs}`});
+                        continue;
+                    }
+                    wanted = [wanted.find(isLoaded) ?? wanted[0]];
+                    plan.need[wanted[0].recipe.output]--;
+                    plan.claimed.set(furniture.toString(), wanted[0].index);
+                }
+            } else if (wanted.length > 1) {
+                // Make whatever there's least of, including the ones in
+                // use, so that the tool shop takes turns between axes
+                // and picks
+                let counts = {};
+                for (let item of map.items) counts[item.type] = (counts[item.type] ?? 0) + item.count;
+                wanted.sort((a, b) => (counts[a.recipe.output] ?? 0) - (counts[b.recipe.output] ?? 0));
+                wanted = [wanted[0]];
+            }
+
+            let ready = wanted.find(({recipe}) => recipeIsLoaded(furnitureShape, recipe, inputCounts));
+            if (ready) {
+                // This furniture is ready for a production job
+                const output = ready.recipe.output;
+                let stand = Pos(furniture.x + furnitureShape.stand.x,
+                                furniture.y + furnitureShape.stand.y);
+                if (this.lookupStand(stand)) {
+                    this.candidates.push({room, furniture, status: "Furniture in use"});
+                    continue;
+                }
+                if (this.isUnreachable(stand.toString())) {
+                    this.candidates.push({room, furniture, status: "Furniture unreachable"});
+                    continue;
+                }
+                let colonist = this.findFreeColonist(workTypes.forShape(furnitureShape),
+                                                     (colonist) => needs.wants(colonist, furnitureShape),
+                                                     (colonist) => needs.level(colonist, furnitureShape));
+                if (!colonist) {
+                    this.candidates.push({room, furniture, status: "No colonist available"});
+                    continue;
+                }
+                let dest = (output && stockpiles.findTile(output, furniture))
+                    || findOpenOutputTile(room, output ?? undefined);
+                if (!dest) {
+                    this.candidates.push({room, furniture, status: "No output tile available"});
+                    continue;
+                }
+                this.addProductionJob(room, furniture, colonist, stand, dest, ready.index);
+            } else {
+                // This furniture is ready for a tranport job for each input
+                for (let i = 0; i < inputs.length; i++) {
+                    const input = inputs[i];
+                    const dest = inputPositions[i];
+                    const needed = Math.max(0, ...wanted.map(({recipe}) => recipe.inputs[input.type] ?? 0));
+                    if (inputCounts[i] >= needed) continue; // already fulfilled, no job
+                    if (inputItems[i] && inputItems[i].type !== input.type) {
+                        this.candidates.push({room, furniture, input, status: "Input tile blocked"});
+                        continue;
+                    }
+
+                    let job = this.lookupDest(dest);
+                    if (job) {
+                        this.candidates.push({room, furniture, input, status: "Destination reserved"});
+                        continue;
+                    }
+                    if (plan && !produces && !(plan.consumers[input.type] > 0) && inputCounts[i] >= this.MINIMUM_STOCK) {
+                        this.candidates.push({room, furniture, input, status: "Nobody needs it"});
+                        continue;
+                    }
+                    if (this.isUnreachable(dest.toString())) {
+                        this.candidates.push({room, furniture, input, status: "Destination unreachable"});
+                        continue;
+                    }
+                    let colonist = this.findFreeColonist('haul');
+                    if (!colonist) {
+                        this.candidates.push({room, furniture, input, status: "No colonist available"});
+                        continue;
+                    }
+                    let items = findAvailableItemsOfType(input.type, furnitureInputPositions);
+                    if (!items.length) {
+                        this.candidates.push({room, furniture, input, status: "No items available"});
+                        continue;
+                    }
+                    // Bring as many as fit, so the furniture can be used
+                    // a few times before it needs another delivery
+                    let count = Math.min(items[0].count, colonist.carryCapacity(), maxStack(input.type) - inputCounts[i]);
+                    if (plan && !produces) count = Math.min(count, Math.max(plan.consumers[input.type], this.MINIMUM_STOCK - inputCounts[i]));
+                    this.addTransportJob(room, furniture, colonist, items[0], dest, undefined, count);
+                    if (plan && !produces) plan.consumers[input.type] -= count;
+                }
+            }
+        }
+    },
+
+    /**
+     * A field needs a job for whatever stage it's at. Watering and
+     * harvesting happen even without demand, so the crop isn't lost.
+     * @param {Room} room
+     * @param {Position} furniture
+     * @param {FurnitureShape} furnitureShape
+     */
+    scanField(room, furniture, furnitureShape) {
+        const {plan} = this;
+        const {crop} = furnitureShape;
+        let field = crops.field(furniture);
+        let work = crops.workNeeded(crop, field);
+        if (!work) return; // growing
+        if (plan && (work === 'till' || work === 'plant') && !plan.claimed.has(furniture.toString())) {
+            if (!(plan.need[crop.output] > 0)) {
+                this.candidates.push({room, furniture, status: `No demand for ${crop.output}`});
+                return;
+            }
+            plan.need[crop.output] -= crop.yield.max;
+            plan.claimed.set(furniture.toString(), 0);
+        }
+        let stand = Pos(furniture.x + furnitureShape.stand.x, furniture.y + furnitureShape.stand.y);
+        if (this.lookupStand(stand)) {
+            this.candidates.push({room, furniture, status: "Furniture in use"});
+            return;
+        }
+        if (this.isUnreachable(stand.toString())) {
+            this.candidates.push({room, furniture, status: "Furniture unreachable"});
+            return;
+        }
+        let colonist = this.findFreeColonist(workTypes.forShape(furnitureShape));
+        if (!colonist) {
+            this.candidates.push({room, furniture, status: `${work}: no colonist available`});
+            return;
+        }
+        let dest = work === 'harvest'
+            ? stockpiles.findTile(crop.output, furniture) ?? findOpenOutputTile(room, crop.output)
+            : findOpenOutputTile(room);
+        if (!dest) {
+            this.candidates.push({room, furniture, status: "No output tile available"});
+            return;
+        }
+        this.addTendJob(room, furniture, colonist, stand, dest, work);
+    },
+
+    /**
+     * @param {Set<string>} furnitureInputPositions
+     */
+    scanOrders(furnitureInputPositions) {
+        // Rooms being unlocked need their cost carried to their door
+        for (let room of map.rooms) {
+            const order = room.unlockOrder;
+            if (!order) continue;
+            if (isOrderComplete(order)) {
+                // Paid for; next the colonists have to dig it out
+                room.unlockOrder = null;
+                room.excavating = true;
+                continue;
+            }
+            let dest = unlockDeliveryTile(map, room);
+            if (!dest) {
+                this.candidates.push({room, status: "Unlock: no door to deliver to"});
+                continue;
+            }
+            this.addDeliveryJobs(room, undefined, order, dest, furnitureInputPositions, "Unlock");
+        }
+
+        // Blueprints need their materials delivered, then someone to build them
+        for (let room of map.rooms) {
+            for (let blueprint of room.blueprints) {
+                const {furnitureShape} = roomCharacteristics[room.type];
+                const furniture = blueprint.pos;
+                let stand = Pos(furniture.x + furnitureShape.stand.x,
+                                furniture.y + furnitureShape.stand.y);
+                if (!isOrderComplete(blueprint.order)) {
+                    this.addDeliveryJobs(room, furniture, blueprint.order, stand, furnitureInputPositions, "Construct");
+                    continue;
+                }
+                if (this.lookupStand(stand)) {
+                    this.candidates.push({room, furniture, status: "Construct: in progress"});
+                    continue;
+                }
+                if (this.isUnreachable(stand.toString())) {
+                    this.candidates.push({room, furniture, status: "Construct: unreachable"});
+                    continue;
+                }
+                let colonist = this.findFreeColonist('build');
+                if (!colonist) {
+                    this.candidates.push({room, furniture, status: "Construct: no colonist available"});
+                    continue;
+                }
+                let dest = findOpenOutputTile(room);
+                if (!dest) {
+                    this.candidates.push({room, furniture, status: "Construct: no tile to step away to"});
+                    continue;
+                }
+                this.addConstructJob(room, furniture, colonist, stand, dest);
+            }
+        }
+
+        // Rooms being excavated need colonists to dig out each tile
+        for (let room of map.rooms) {
+            if (!room.excavating) continue;
+            if (isRoomExcavated(map, room)) {
+                room.excavating = false;
+                unlockRoom(map, room);
+                logMessage(`Unlocked a ${room.type} room`);
+                continue;
+            }
+            for (let {pos, stand} of excavationFrontier(map, room)) {
+                if (this.lookupDest(pos)) continue; // already being dug
+                if (this.lookupStand(stand)) {
+                    this.candidates.push({room, furniture: pos, status: "Excavate: stand in use"});
+                    continue;
+                }
+                if (this.isUnreachable(stand.toString())) {
+                    this.candidates.push({room, furniture: pos, status: "Excavate: unreachable"});
+                    continue;
+                }
+                let colonist = this.findFreeColonist('dig');
+                if (!colonist) {
+                    this.candidates.push({room, furniture: pos, status: "Excavate: no colonist available"});
+                    break;
+                }
+                this.addExcavateJob(room, colonist, stand, pos);
+            }
+        }
+    },
+
+    /**
+     * Barricades and traps need their materials delivered to their
+     * tile, then someone to build them there
+     * @param {Set<string>} furnitureInputPositions
+     */
+    scanDefenses(furnitureInputPositions) {
+        for (let defense of combat.defenses) {
+            if (defense.built) continue;
+            const {pos, order} = defense;
+            let tile = map.walkable.get(pos.toString());
+            if (!tile) continue; // caved in
+            // Doors aren't rooms, but jobs need one
+            let room = 'room1' in tile.in ? (tile.in.room1.unlocked ? tile.in.room1 : tile.in.room2) : tile.in;
+            if (!isOrderComplete(order)) {
+                this.addDeliveryJobs(room, pos, order, pos, furnitureInputPositions, "Defense");
+                continue;
+            }
+            if (this.lookupStand(pos)) continue; // being built
+            if (this.isUnreachable(pos.toString())) {
+                this.candidates.push({room, furniture: pos, status: "Defense: unreachable"});
+                continue;
+            }
+            let colonist = this.findFreeColonist('build');
+            if (!colonist) {
+                this.candidates.push({room, furniture: pos, status: "Defense: no colonist available"});
+                return;
+            }
+            this.addFortifyJob(room, colonist, pos);
+        }
+    },
+
+    /**
+     * Dig out caved in doors, and pump out flooded rooms
+     */
+    scanHazards() {
+        for (let room of map.rooms) {
+            if (!room.unlocked) continue;
+            for (let pos of room.rubble) {
+                if (this.lookupDest(pos)) continue; // already being dug
+                let stand = [[-1, 0], [+1, 0], [0, -1], [0, +1]]
+                    .map(([dx, dy]) => Pos(pos.x + dx, pos.y + dy))
+                    .find((p) => map.walkable.has(p.toString())
+                          && !this.lookupStand(p) && !this.isUnreachable(p.toString()));
+                if (!stand) {
+                    this.candidates.push({room, furniture: pos, status: "Rubble: no stand available"});
+                    continue;
+                }
+                let colonist = this.findFreeColonist('dig');
+                if (!colonist) {
+                    this.candidates.push({room, furniture: pos, status: "Rubble: no colonist available"});
+                    return;
+                }
+                this.addExcavateJob(room, colonist, stand, pos);
+            }
+
+            // One colonist at a time works the pump
+            if (!hazards.isFlooded(room)) continue;
+            if (this.table.some((job) => job.type === 'pump' && job.room === room)) continue;
+            let stand = null;
+            for (let y = room.rect.top + 1; y < room.rect.bottom && !stand; y++) {
+                for (let x = room.rect.left + 1; x < room.rect.right && !stand; x++) {
+                    let pos = Pos(x, y);
+                    if (map.walkable.has(pos.toString())
+                        && !this.lookupStand(pos) && !this.isUnreachable(pos.toString())) stand = pos;
+                }
+            }
+            if (!stand) {
+                this.candidates.push({room, furniture: null, status: "Pump: no stand available"});
+                continue;
+            }
+            let colonist = this.findFreeColonist('dig');
+            if (!colonist) {
+                this.candidates.push({room, furniture: stand, status: "Pump: no colonist available"});
+                return;
+            }
+            this.addPumpJob(room, colonist, stand);
+        }
+    },
+
+    /**
+     * Idle colonists move loose items into stockpile zones that want them
+     * @param {Set<string>} furnitureInputPositions
+     */
+    scanHauling(furnitureInputPositions) {
+        if (stockpiles.zones.length === 0) return;
+        for (let item of map.items) {
+            if (!isItemPosOnGround(item.pos)) continue;
+            if (furnitureInputPositions.has(item.pos.toString())) continue;
+            if (stockpiles.isStored(item)) continue;
+            if (this.lookupItem(item) || this.isUnreachable(item.id)) continue;
+            let colonist = this.findFreeColonist('haul');
+            if (!colonist) return; // nobody is idle
+            let dest = stockpiles.findTile(item.type, item.pos);
+            if (!dest) {
+                this.candidates.push({room: unlockedRoomAtPosition(item.pos) ?? map.wilderness, furniture: item.pos,
+                                      input: item, status: "Haul: no stockpile space"});
+                continue;
+            }
+            let count = Math.min(item.count, colonist.carryCapacity(), tileSpaceFor(dest, item.type));
+            this.addTransportJob(unlockedRoomAtPosition(dest), undefined, colonist, item, dest, undefined, count);
+        }
+    },
+
+    EQUIP_PRIORITY: 12, // a quick job that makes the others faster
+    GATHER_PRIORITY: 5, // lower than the furniture, so it's what idle colonists do
+
+    /**
+     * Idle colonists gather from the resource nodes in the wilderness
+     */
+    scanWilderness() {
+        const {plan} = this;
+        for (let node of map.resources) {
+            if (node.uses <= 0) continue; // growing back
+            if (this.lookupStand(node.pos)) continue; // someone's already there
+            const {name, recipe, skill} = roomCharacteristics.wilderness.resources[node.kind];
+            if (plan && !(plan.need[recipe.output] > 0)) continue; // too many to list as candidates
+            if (this.isUnreachable(node.pos.toString())) {
+                this.candidates.push({room: map.wilderness, furniture: node.pos, status: `Gather ${name}: unreachable`});
+                continue;
+            }
+            let colonist = this.findFreeColonist(workTypes.SKILL_WORK[skill]);
+            if (!colonist) continue; // nobody is idle for this kind of work
+            let dest = stockpiles.findTile(recipe.output, node.pos) ?? findNearestOpenTile(node.pos, recipe.output);
+            if (!dest) {
+                this.candidates.push({room: map.wilderness, furniture: node.pos, status: `Gather ${name}: no tile to put it`});
+                continue;
+            }
+            if (plan) plan.need[recipe.output]--;
+            this.addGatherJob(node, colonist, dest);
+        }
+    },
+
+    /**
+     * Colonists without a tool pick up the nearest one
+     * @param {Set<string>} furnitureInputPositions
+     */
+    scanTools(furnitureInputPositions) {
+        let items = Array.from(toolTypes())
+            .flatMap((type) => findAvailableItemsOfType(type, furnitureInputPositions));
+        for (let colonist of simulation.colonists) {
+            if (items.length === 0) return;
+            if (colonist.tool || !this.isFree(colonist) || needs.refuses(colonist, this.scanPriority)) continue;
+            const distance = (item) => Math.abs(item.pos.x - colonist.pos.x) + Math.abs(item.pos.y - colonist.pos.y);
+            let item = items.reduce((best, item) => distance(item) < distance(best) ? item : best);
+            items.splice(items.indexOf(item), 1);
+            this.addEquipJob(colonist, item);
+        }
+    },
+
+    // The scans hand out jobs to the first free colonist, no matter
+    // how far away. Afterwards, reassign this tick's new jobs to
+    // minimize the total walking, one tier at a time, so jobs at a
+    // colonist's first work priority, and then higher priority jobs,
+    // still get first pick of the colonists.
+    INELIGIBLE_COST: 1e9,
+    UNREACHABLE_COST: 1e6,
+    /** For the debug panel: walking cost of the first-free choice vs the optimal one */
+    assignmentStats: {jobs: 0, greedy: 0, optimal: 0, totalGreedy: 0, totalOptimal: 0},
+
+    /**
+     * @param {Array<{level: number, priority: number, jobs: Job[]}>} tiers - new jobs, any order
+     */
+    assignColonists(tiers) {
+        let pool = tiers.flatMap((tier) => tier.jobs.map((job) => job.colonist));
+        if (pool.length === 0) return;
+        const costs = movementCosts();
+        /** @type {Map<Job, Map<string, number>>} */
+        let fields = new Map();
+        const cost = (job, colonist, priority, level) => {
+            if (!workTypes.allows(colonist, workTypes.forJob(job), level)) return this.INELIGIBLE_COST;
+            const furnitureShape = job.type === 'production' ? roomCharacteristics[job.room.type].furnitureShape : null;
+            if (furnitureShape && !needs.wants(colonist, furnitureShape)) return this.INELIGIBLE_COST;
+            if (needs.refuses(colonist, priority)) return this.INELIGIBLE_COST;
+            if (job.type === 'equip' && colonist.tool) return this.INELIGIBLE_COST;
+            if (!fields.has(job)) {
+                let target = job.type === 'transport' || job.type === 'equip' ? /** @type {Position} */(job.item.pos) : job.stand;
+                fields.set(job, distanceField(map, target, costs, pool.map((colonist) => colonist.pos)));
+            }
+            let walk = fields.get(job).get(colonist.pos.toString());
+            if (walk === undefined) return this.UNREACHABLE_COST;
+            // A skilled colonist finishes sooner, so is worth walking
+            // further, and so is one who needs to eat or sleep more
+            const skill = skills.forJob(job);
+            if (furnitureShape?.restores) walk += needs.ASSIGN_TICKS * (1 - needs.level(colonist, furnitureShape));
+            return walk + (skill ? skills.ASSIGN_TICKS_PER_LEVEL * (skills.MAX_LEVEL - skills.level(colonist, skill)) : 0);
+        };
+
+        let stats = {jobs: pool.length, greedy: 0, optimal: 0};
+        for (let tier of tiers) {
+            for (let job of tier.jobs) stats.greedy += cost(job, job.colonist, tier.priority, tier.level);
+        }
+
+        tiers.sort((a, b) => a.level - b.level || b.priority - a.priority);
+        for (let {level, priority, jobs: tierJobs} of tiers) {
+            let matrix = tierJobs.map((job) => pool.map((colonist) => cost(job, colonist, priority, level)));
+            let columns = hungarianAssignment(matrix);
+            let assigned = new Set();
+            for (let i = 0; i < tierJobs.length; i++) {
+                let job = tierJobs[i];
+                if (matrix[i][columns[i]] >= this.INELIGIBLE_COST) {
+                    // Higher priority jobs took everyone who could do this
+                    this.candidates.push({room: job.room, furniture: job.furniture, status: "No colonist available"});
+                    this.deleteJob(job);
+                    continue;
+                }
+                job.colonist = pool[columns[i]];
+                job.colonist.path = []; // NOTE: see addTransportJob
+                assigned.add(job.colonist);
+                stats.optimal += matrix[i][columns[i]];
+            }
+            pool = pool.filter((colonist) => !assigned.has(colonist));
+        }
+
+        let {totalGreedy, totalOptimal} = this.assignmentStats;
+        this.assignmentStats = {
+            ...stats,
+            totalGreedy: totalGreedy + stats.greedy,
+            totalOptimal: totalOptimal + stats.optimal,
+        };
+    },
+
+    simulate() {
+        const furnitureInputPositions = findFurnitureInputPositions();
+        this.plan = this.planner === 'demand' ? this.planDemand(furnitureInputPositions) : null;
+
+        // Scan the entire world to find candidate jobs, higher priority first
+        const priority = (room) => {
+            const furnitureShape = roomCharacteristics[room.type]?.furnitureShape;
+            if (furnitureShape?.restores) return needs.priority(furnitureShape);
+            return furnitureShape?.priority || 0;
+        };
+        let scans = map.rooms.map((room) => ({
+            priority: priority(room),
+            scan: () => this.scanFurniture(room, furnitureInputPositions),
+        }));
+        scans.push({
+            priority: this.ORDER_PRIORITY,
+            scan: () => this.scanOrders(furnitureInputPositions),
+        });
+        scans.push({
+            priority: this.ORDER_PRIORITY,
+            scan: () => this.scanHazards(),
+        });
+        scans.push({
+            priority: this.ORDER_PRIORITY,
+            scan: () => this.scanDefenses(furnitureInputPositions),
+        });
+        scans.push({
+            priority: this.GATHER_PRIORITY,
+            scan: () => this.scanWilderness(),
+        });
+        scans.push({
+            priority: this.EQUIP_PRIORITY,
+            scan: () => this.scanTools(furnitureInputPositions),
+        });
+        scans.push({
+            priority: stockpiles.HAUL_PRIORITY,
+            scan: () => this.scanHauling(furnitureInputPositions),
+        });
+        scans.sort((a, b) => b.priority - a.priority); // higher priority earlier
+        // Run all the scans once per work priority level, so that the
+        // colonists' work priorities come first and the room priorities
+        // only break ties. Levels nobody free has are skipped, but one
+        // pass always runs, for the candidates in the debug panel.
+        let levels = workTypes.LEVELS.filter((level) =>
+            simulation.colonists.some((colonist) => this.isFree(colonist) && workTypes.hasLevel(colonist, level)));
+        if (levels.length === 0) levels = [workTypes.LEVELS[0]];
+        /** @type {Map<string, {level: number, priority: number, jobs: Job[]}>} */
+        let tiers = new Map();
+        for (let level of levels) {
+            this.scanLevel = level;
+            this.candidates = [];
+            for (let {priority, scan} of scans) {
+                let start = this.table.length;
+                this.scanPriority = priority;
+                scan();
+                let key = `${level} ${priority}`;
+                if (!tiers.has(key)) tiers.set(key, {level, priority, jobs: []});
+                tiers.get(key).jobs.push(...this.table.slice(start));
+            }
+        }
+        this.assignColonists(Array.from(tiers.values()));
+    },
+};
+
+
+//////////////////////////////////////////////////////////////////////
+// Saving and loading
+
+// The save format is plain json. Object references (items carried by
+// a colonist, a job's room/colonist/item) are written as ids and
+// rebuilt on load. The map itself isn't saved, only the parts that
+// change during play. Doors aren't saved either; generateMap() rebuilds
+// them, and their room1/room2 point to the rooms that we then look up
+// by id.
+//
+// SAVE_VERSION goes up whenever what's saved changes, and older saves
+// still load: restore() fills in whatever they're missing.
+//   1. stacks, crops, needs, goals, hazards, combat, skills and work
+//      priorities were all added without a new version, so a version 1
+//      save can be missing any of them
+//   2. all of those
+//   3. when the work on a job started; older saves show no progress
+//      for the work under way
+export const SAVE_VERSION = 3;
+const OLDEST_SAVE_VERSION = 1;
+
+/** @param {Position} pos */
+function posToJson(pos) {
+    return pos ? [pos.x, pos.y] : null;
+}
+
+/** @param {[number, number] | null} json */
+function posFromJson(json) {
+    return json ? Pos(json[0], json[1]) : null;
+}
+
+/**
+ * The colony state, as json-compatible data
+ * @returns {any}
+ */
+export function snapshot() {
+    return {
+        version: SAVE_VERSION,
+        mapOptions: map.options,
+        tickId: simulation.tickId,
+        nextIds: {colonist: Colonist._id, item: _nextItemId, job: jobs._id},
+        unreachable: Array.from(jobs.unreachable.entries()),
+        randomState: simulation.rng.state,
+        planner: {mode: jobs.planner, stockpileTargets: jobs.stockpileTargets},
+        stockpiles: {nextId: stockpiles._id, zones: stockpiles.zones},
+        crops: structuredClone(crops.fields),
+        population: {...population.stats},
+        combat: {
+            nextId: combat._id,
+            creatures: combat.creatures.map((creature) => ({
+                ...creature,
+                pos: posToJson(creature.pos),
+                path: creature.path.map(posToJson),
+            })),
+            defenses: combat.defenses.map((defense) => ({
+                ...defense,
+                pos: posToJson(defense.pos),
+                order: structuredClone(defense.order),
+            })),
+        },
+        goals: structuredClone({objectives: goals.objectives, met: goals.met, outcome: goals.outcome}),
+        rooms: map.rooms.map((room) => ({
+            id: room.id,
+            // saved because scenarios change it, and because the room
+            // types the map generator picks from change between versions
+            type: room.type,
+            unlocked: room.unlocked,
+            unlockOrder: room.unlockOrder,
+            excavating: room.excavating,
+            // tiles dug out so far, if it's being excavated
+            excavated: room.excavating ? excavatedTiles(room).map(posToJson) : [],
+            // hazards; the rest of them come from the map generator
+            water: room.water,
+            rubble: room.rubble.map(posToJson),
+            furniture: room.furniture.map(posToJson),
+            blueprints: room.blueprints.map((blueprint) => ({
+                pos: posToJson(blueprint.pos),
+                order: blueprint.order,
+            })),
+        })),
+        // resource nodes are placed by the map generator, so only
+        // what's changed since is saved
+        resources: map.resources.map((node) => ({
+            pos: posToJson(node.pos),
+            uses: node.uses,
+            regrowAt: node.regrowAt,
+        })),
+        items: map.items.map((item) => ({
+            id: item.id,
+            type: item.type,
+            count: item.count,
+            pos: isItemPosOnGround(item.pos) ? posToJson(item.pos) : {carriedBy: /** @type {Colonist} */(item.pos).id},
+        })),
+        colonists: simulation.colonists.map((colonist) => ({
+            id: colonist.id,
+            pos: posToJson(colonist.pos),
+            path: colonist.path.map(posToJson),
+            needs: {...colonist.needs},
+            health: colonist.health,
+            skills: {...colonist.skills},
+            workPriorities: {...colonist.workPriorities},
+            inventory: colonist.inventory?.id ?? null,
+            tool: colonist.tool?.id ?? null,
+            state: colonist.state,
+        })),
+        jobs: jobs.table.map((job) => ({
+            id: job.id,
+            type: job.type,
+            room: job.room.id,
+            furniture: posToJson(job.furniture),
+            colonist: job.colonist.id,
+            item: job.item?.id ?? null,
+            count: job.count ?? null,
+            recipe: job.recipe ?? null,
+            work: job.work ?? null,
+            dest: posToJson(job.dest),
+            stand: posToJson(job.stand),
+            // orders are for unlocking the room, a blueprint, or a defense
+            order: !job.order ? null
+                : job.order === job.room.unlockOrder ? 'unlock'
+                : combat.defenses.some((defense) => defense.order === job.order) ? 'defense'
+                : 'blueprint',
+            // undefined and null mean different things here, but json
+            // only has null, so I use a string for undefined
+            timeCompleted: job.timeCompleted === undefined ? 'undefined' : job.timeCompleted,
+            timeStarted: job.timeStarted ?? null,
+        })),
+    };
+}
+
+/**
+ * @param {Room} room
+ * @returns {Position[]} the walkable tiles of a room, and its doors
+ */
+function excavatedTiles(room) {
+    return Array.from(map.walkable.values())
+        .filter((tile) => tile.in === room
+                || ('room1' in tile.in && (tile.in.room1 === room || tile.in.room2 === room)))
+        .map((tile) => tile.pos);
+}
+
+/**
+ * Replace the current colony with one from snapshot(). Everything
+ * is rebuilt before anything is replaced, so that a bad save leaves the
+ * current colony alone.
+ * @param {any} data
+ */
+export function restore(data) {
+    const version = data?.version;
+    if (!Number.isInteger(version) || version < OLDEST_SAVE_VERSION) {
+        throw `Can't load save version ${version}, only versions ${OLDEST_SAVE_VERSION} to ${SAVE_VERSION}`;
+    }
+    if (version > SAVE_VERSION) throw `Can't load save version ${version}, it's from a newer version of the game`;
+
+    const newMap = generateMap(data.mapOptions ?? {}, roomGenerationTable(), resourceGenerationTable());
+    const roomsById = new Map([...newMap.rooms, newMap.wilderness].map((room) => [room.id, room]));
+    for (let saved of data.rooms) {
+        let room = roomsById.get(saved.id);
+        if (!room) throw `Saved room ${saved.id} not in map`;
+        if (saved.type) room.type = saved.type;
+        if (saved.unlocked) unlockRoom(newMap, room);
+        room.unlockOrder = saved.unlockOrder ?? null;
+        room.excavating = saved.excavating ?? false;
+        for (let pos of saved.excavated ?? []) excavateTile(newMap, room, posFromJson(pos));
+        // older saves had no hazards, so don't flood rooms already in use
+        room.water = saved.water ?? (saved.unlocked ? 0 : room.water);
+        room.rubble = (saved.rubble ?? []).map(posFromJson);
+        room.furniture = saved.furniture.map(posFromJson);
+        room.blueprints = (saved.blueprints ?? []).map((blueprint) => ({
+            pos: posFromJson(blueprint.pos),
+            order: blueprint.order,
+        }));
+    }
+
+    for (let saved of data.resources ?? []) {
+        let pos = posFromJson(saved.pos);
+        let node = newMap.resources.find((node) => node.pos.equals(pos));
+        if (!node) throw `Saved resource at ${pos} not in map`;
+        node.uses = saved.uses;
+        node.regrowAt = saved.regrowAt;
+    }
+
+    const colonistsById = new Map();
+    for (let saved of data.colonists) {
+        let colonist = new Colonist(posFromJson(saved.pos), saved.id);
+        colonist.path = saved.path.map(posFromJson);
+        colonist.needs = {...colonist.needs, ...saved.needs}; // older saves had status flags instead
+        colonist.health = saved.health ?? colonist.health;
+        colonist.skills = {...colonist.skills, ...saved.skills};
+        colonist.workPriorities = {...colonist.workPriorities, ...saved.workPriorities};
+        colonistsById.set(colonist.id, colonist);
+    }
+
+    const itemsById = new Map();
+    for (let saved of data.items) {
+        let pos = Array.isArray(saved.pos) ? posFromJson(saved.pos) : colonistsById.get(saved.pos.carriedBy);
+        if (!pos) throw `Saved item ${saved.id} carried by missing colonist ${saved.pos.carriedBy}`;
+        let item = {id: saved.id, type: saved.type, count: saved.count ?? 1, pos};
+        itemsById.set(item.id, item);
+    }
+    newMap.items = Array.from(itemsById.values());
+    for (let saved of data.colonists) {
+        let colonist = colonistsById.get(saved.id);
+        colonist.inventory = itemsById.get(saved.inventory) ?? null;
+        colonist.tool = itemsById.get(saved.tool) ?? null;
+    }
+
+    /** @type {Defense[]} */
+    const defenses = (data.combat?.defenses ?? []).map((saved) => ({
+        ...saved,
+        pos: posFromJson(saved.pos),
+        order: structuredClone(saved.order),
+    }));
+    const table = data.jobs.map((saved) => {
+        let job = {
+            id: saved.id,
+            type: saved.type,
+            room: roomsById.get(saved.room),
+            furniture: posFromJson(saved.furniture),
+            colonist: colonistsById.get(saved.colonist),
+            item: itemsById.get(saved.item),
+            dest: posFromJson(saved.dest),
+            stand: posFromJson(saved.stand) ?? undefined,
+            order: saved.order === 'unlock' ? roomsById.get(saved.room)?.unlockOrder
+                : saved.order === 'blueprint' ? roomsById.get(saved.room)?.blueprints
+                     .find((blueprint) => blueprint.pos.equals(posFromJson(saved.furniture)))?.order
+                : saved.order === 'defense' ? defenses
+                     .find((defense) => defense.pos.equals(posFromJson(saved.furniture)))?.order
+                : undefined,
+            count: saved.type === 'transport' ? saved.count ?? 1 : undefined,
+            recipe: saved.type === 'production' ? saved.recipe ?? 0 : undefined,
+            work: saved.work ?? undefined,
+            timeCompleted: saved.timeCompleted === 'undefined' ? undefined : saved.timeCompleted,
+            timeStarted: saved.timeStarted ?? null,
+        };
+        if (!job.room || !job.colonist) throw `Saved job ${saved.id} refers to missing room or colonist`;
+        return job;
+    });
+    for (let saved of data.colonists) {
+        let colonist = colonistsById.get(saved.id);
+        colonist.state = saved.state
+            ?? inferColonistState(colonist, table.find((job) => job.colonist === colonist));
+    }
+
+    map = newMap;
+    simulation.tickId = data.tickId;
+    simulation.colonists = Array.from(colonistsById.values());
+    jobs.table = table;
+    jobs.candidates = [];
+    jobs.unreachable = new Map(data.unreachable ?? []);
+    stockpiles.zones = structuredClone(data.stockpiles?.zones ?? []);
+    stockpiles._id = data.stockpiles?.nextId ?? 0;
+    crops.fields = structuredClone(data.crops ?? {});
+    population.stats = {arrived: 0, died: 0, left: 0, peak: 0, ...data.population};
+    combat.creatures = (data.combat?.creatures ?? []).map((saved) => ({
+        ...saved,
+        pos: posFromJson(saved.pos),
+        path: saved.path.map(posFromJson),
+    }));
+    combat.defenses = defenses;
+    combat._id = data.combat?.nextId ?? 0;
+    // Older saves didn't have goals, so they start on the default ones
+    goals.reset(data.goals?.objectives ?? goals.DEFAULT_OBJECTIVES);
+    if (data.goals) {
+        goals.met = [...data.goals.met];
+        goals.outcome = structuredClone(data.goals.outcome);
+    }
+    jobs.planner = data.planner?.mode ?? 'greedy';
+    jobs.stockpileTargets = {...data.planner?.stockpileTargets};
+    jobs.plan = null;
+    jobs.assignmentStats = {jobs: 0, greedy: 0, optimal: 0, totalGreedy: 0, totalOptimal: 0};
+    simulation.rng = seededRandom(data.mapOptions?.seed ?? 0);
+    simulation.rng.state = data.randomState ?? simulation.rng.state;
+    setRandom(simulation.rng);
+    simulation.violations.clear();
+    Colonist._id = data.nextIds.colonist;
+    _nextItemId = data.nextIds.item;
+    jobs._id = data.nextIds.job;
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// Commands
+
+/**
+ * Run the simulation forward
+ * @param {number} [n] - number of ticks
+ */
+export function step(n=1) {
+    for (let i = 0; i < n; i++) simulation.simulate();
+}
+
+/**
+ * Something the player wants to do. Commands that can't be done are
+ * reported through hooks.message.
+ * @param {Command} command
+ * @returns {boolean} whether the command was applied
+ */
+export function applyCommand(command) {
+    switch (command.type) {
+        case 'unlock': {
+            // The room unlocks once the colonists deliver the cost to the door
+            let room = unlockableRoomList(map).find((room) => room.id === command.room);
+            if (!room) return false;
+            if (room.unlockOrder || room.excavating) {
+                logMessage("Already unlocking that room");
+                return false;
+            }
+            if (!canAfford(room.unlockCost, availableItemCounts())) {
+                logMessage(`Can't afford to unlock that room, it needs ${itemCountsToString(room.unlockCost)}`);
+                return false;
+            }
+            room.unlockOrder = {cost: {...room.unlockCost}, delivered: {}};
+            logMessage(`Colonists will bring ${itemCountsToString(room.unlockCost)} to unlock the room`);
+            return true;
+        }
+        case 'blueprint': {
+            // Colonists will bring the materials and then build it
+            let pos = Pos(command.pos[0], command.pos[1]);
+            let room = unlockedRoomAtPosition(pos);
+            if (!room) return false; // either invalid pos, or no room; TODO: show error message?
+            const {furnitureShape} = roomCharacteristics[room.type];
+            if (!furnitureShape) {
+                logMessage(`The ${room.type} room doesn't have any furniture to build`);
+                return false;
+            }
+            if (hazards.isFlooded(room)) {
+                logMessage(`The ${room.type} room is flooded; pump it out before building`);
+                return false;
+            }
+            for (let p of positionsOccupiedByFurniture(room, pos).values()) {
+                if (!isPositionInRoomBuildable(room, p)) return false; // TODO: error message?
+            }
+            room.blueprints.push({pos, order: {cost: {...furnitureShape.construction.materials}, delivered: {}}});
+            const materials = itemCountsToString(furnitureShape.construction.materials);
+            logMessage(`Placed a ${furnitureShape.name} blueprint` + (materials ? `, needs ${materials}` : ""));
+            return true;
+        }
+        case 'addZone': {
+            const {left, top, right, bottom} = command.rect;
+            if (!(left < right && top < bottom)) return false;
+            stockpiles.zones.push({id: "z" + (++stockpiles._id), rect: {left, top, right, bottom}, filter: null});
+            logMessage(`Made a ${right - left}×${bottom - top} stockpile`);
+            return true;
+        }
+        case 'zoneFilter': {
+            let zone = stockpiles.zones.find((zone) => zone.id === command.zone);
+            if (!zone) return false;
+            zone.filter = command.filter && [...command.filter];
+            logMessage(`Stockpile ${zone.id} takes ${zone.filter?.join(", ") ?? "everything"}`);
+            return true;
+        }
+        case 'removeZone': {
+            let index = stockpiles.zones.findIndex((zone) => zone.id === command.zone);
+            if (index < 0) return false;
+            stockpiles.zones.splice(index, 1);
+            logMessage(`Removed stockpile ${command.zone}`);
+            return true;
+        }
+        case 'planner': {
+            if (!jobs.PLANNER_MODES.includes(command.mode)) return false;
+            jobs.planner = command.mode;
+            logMessage(`Using the ${command.mode} planner`);
+            return true;
+        }
+        case 'stockpile': {
+            if (!isItemType(command.itemType)) return false;
+            if (!(Number.isInteger(command.target) && command.target >= 0)) return false;
+            if (command.target > 0) jobs.stockpileTargets[command.itemType] = command.target;
+            else delete jobs.stockpileTargets[command.itemType];
+            return true;
+        }
+        case 'defense': {
+            // Anywhere the colonists can walk, that isn't furniture
+            let pos = Pos(command.pos[0], command.pos[1]);
+            const shape = combat.DEFENSES[command.kind];
+            if (!shape) return false;
+            if (!map.walkable.has(pos.toString()) || furnitureTiles().has(pos.toString()) || combat.defenseAt(pos)) {
+                logMessage(`Can't build a ${shape.name} at ${pos}`);
+                return false;
+            }
+            combat.defenses.push({
+                id: "d" + (++combat._id), kind: command.kind, pos,
+                order: {cost: {...shape.materials}, delivered: {}},
+                built: false, hits: shape.hits,
+            });
+            logMessage(`Placed a ${shape.name}, needs ${itemCountsToString(shape.materials)}`);
+            return true;
+        }
+        case 'workPriority': {
+            let colonist = simulation.colonists.find((colonist) => colonist.id === command.colonist);
+            if (!colonist || !workTypes.NAMES.includes(command.work)) return false;
+            if (!(command.priority === 0 || workTypes.LEVELS.includes(command.priority))) return false;
+            colonist.workPriorities[command.work] = command.priority;
+            return true;
+        }
+        case 'continue': {
+            if (!goals.outcome) return false;
+            goals.outcome.continued = true;
+            logMessage("Playing on after the end of the run");
+            return true;
+        }
+        default:
+            throw `Unknown command ${JSON.stringify(command)}`;
+    }
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// Viewing
+
+// Everything the client reads to draw the colony and explain it to
+// the player. It's the live state, not a copy, because copying the
+// whole colony every frame is too slow, but it's typed as read-only:
+// the client changes the colony only with applyCommand(). The helpers
+// that only look at what they're given (itemCountsToString(),
+// jobProgress(), etc.) are exported on their own.
+export const colony = {
+    get TICKS_PER_SECOND() { return simulation.TICKS_PER_SECOND; },
+    get TICKS_PER_DAY() { return simulation.TICKS_PER_DAY; },
+    get roomCharacteristics() { return roomCharacteristics; },
+    /** @returns {readonly WorkType[]} */
+    get WORK_TYPES() { return workTypes.NAMES; },
+    /** @returns {readonly number[]} */
+    get WORK_LEVELS() { return workTypes.LEVELS; },
+    /** @returns {readonly Skill[]} */
+    get SKILLS() { return skills.NAMES; },
+    get NEED_METERS() { return needs.METERS; },
+    get LOW_MOOD() { return needs.LOW_MOOD; },
+    get COLONIST_HEALTH() { return combat.COLONIST_HEALTH; },
+    get DEFENSES() { return combat.DEFENSES; },
+    get CREATURES() { return combat.CREATURES; },
+
+    /** @returns {ReadonlyDeep<GameMap>} */
+    get map() { return map; },
+    get tickId() { return simulation.tickId; },
+    get day() { return simulation.day; },
+    get hour() { return simulation.hour; },
+    /** @returns {readonly Colonist[]} */
+    get colonists() { return simulation.colonists; },
+    /** @returns {ReadonlyDeep<Creature[]>} */
+    get creatures() { return combat.creatures; },
+    /** @returns {ReadonlyDeep<Defense[]>} */
+    get defenses() { return combat.defenses; },
+    /** @returns {ReadonlyDeep<Zone[]>} */
+    get zones() { return stockpiles.zones; },
+    /** @returns {ReadonlyDeep<Objectives>} */
+    get objectives() { return goals.objectives; },
+    /** @returns {readonly (number | null)[]} - the day each goal was met */
+    get goalsMet() { return goals.met; },
+    /** @returns {Readonly<RunOutcome> | null} */
+    get outcome() { return goals.outcome; },
+    /** @returns {Readonly<PopulationStats>} */
+    get populationStats() { return population.stats; },
+    /** @returns {PlannerMode} */
+    get planner() { return jobs.planner; },
+    /** @returns {Readonly<ItemCounts>} */
+    get stockpileTargets() { return jobs.stockpileTargets; },
+
+    // For the debug tables
+    /** @returns {readonly Job[]} */
+    get jobs() { return jobs.table; },
+    /** @returns {ReadonlyDeep<DemandPlan> | null} */
+    get plan() { return jobs.plan; },
+    get candidates() { return jobs.candidates; },
+    /** @returns {Readonly<typeof jobs.assignmentStats>} */
+    get assignmentStats() { return jobs.assignmentStats; },
+
+    /** @param {Colonist} colonist */
+    jobFor(colonist) { return jobs.lookupColonist(colonist); },
+    /** @param {Position} pos - the job's destination */
+    jobAt(pos) { return jobs.lookupDest(pos); },
+    /**
+     * @param {Colonist} colonist
+     * @param {Skill} skill
+     */
+    skillLevel(colonist, skill) { return skills.level(colonist, skill); },
+    /** @param {Condition} condition */
+    goalProgress(condition) { return goals.progress(condition); },
+    /** @param {Condition} condition */
+    describe(condition) { return goals.describe(condition); },
+    /** @param {Position} pos */
+    fieldAt(pos) { return crops.fields[pos.toString()]; },
+    /**
+     * @param {Crop} crop
+     * @param {Field} field
+     */
+    isDry(crop, field) { return crops.isDry(crop, field); },
+    /** @param {ReadonlyDeep<Room>} room */
+    isFlooded(room) { return hazards.isFlooded(/** @type {Room} */(room)); },
+    /** @param {Position} pos */
+    zoneAt(pos) { return stockpiles.zoneAt(pos); },
+    /** @returns {ReadonlyDeep<Room[]>} */
+    unlockableRooms() { return unlockableRoomList(map); },
+    /**
+     * @param {ReadonlyDeep<Room>} room
+     * @returns {ReadonlyDeep<ReturnType<typeof excavationFrontier>>}
+     */
+    excavationFrontier(room) { return excavationFrontier(map, /** @type {Room} */(room)); },
+    /**
+     * @param {Position} pos
+     * @returns {ReadonlyDeep<Room> | undefined}
+     */
+    roomAt(pos) { return unlockedRoomAtPosition(pos); },
+    /**
+     * @param {ReadonlyDeep<Room>} room
+     * @param {Position} pos
+     */
+    isBuildable(room, pos) { return isPositionInRoomBuildable(/** @type {Room} */(room), pos); },
+    availableItemCounts() { return availableItemCounts(); },
+};
@@ -0,0 +1,54 @@
+/*!
+ * From https://www.redblobgames.com/x/2327-roguelike-dev/
+ * Copyright 2023 Red Blob Games <redblobgames@gmail.com>
+ * @license Apache-2.0 <https://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * The colonist state machine recovers from states it should never be in,
+ * and its work takes as long as the colonist doing it needs
+ */
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {
+    map, simulation, jobs, skills, roomCharacteristics, jobProgress, applyCommand, snapshot, restore, step,
+} from "../simulation.js";
+import {startScenario, run, violations} from "./scenarios.js";
+
+test("a colonist carrying things without a job puts all of them down", () => {
+    const messages = startScenario({colonists: [[31, 25]]});
+    // Carrying wood with no job, standing on a tile that already has stone
+    let data = JSON.parse(JSON.stringify(snapshot()));
+    data.items.push({id: 'x1', type: 'wood', count: 2, pos: {carriedBy: 'c1'}},
+                    {id: 'x2', type: 'stone', count: 1, pos: [31, 25]});
+    Object.assign(data.colonists[0], {state: 'carrying', inventory: 'x1', path: []});
+    restore(data);
+    step();
+
+    const [colonist] = simulation.colonists;
+    assert.equal(colonist.state, 'idle');
+    assert.equal(colonist.inventory, null);
+    const wood = map.items.filter((item) => item.type === 'wood');
+    assert.equal(wood.reduce((sum, item) => sum + item.count, 0), 2);
+    assert.ok(wood.every((item) => !item.pos.equals(colonist.pos)), "the wood went next to the stone");
+    assert.equal(violations(messages).length, 1, "the broken state was reported, and nothing else");
+});
+
+test("work progress goes by how fast the colonist works", () => {
+    const messages = startScenario({
+        rooms: [{id: 'r46'}],
+        items: [{type: 'stone', pos: [30, 52], count: 3}],
+        colonists: [[31, 50]],
+    });
+    const [colonist] = simulation.colonists;
+    colonist.skills.crafting = skills.XP_PER_LEVEL * skills.MAX_LEVEL ** 2;
+    assert.ok(applyCommand({type: 'blueprint', pos: [33, 49]}));
+    let progress = [];
+    run(300, () => {
+        const job = jobs.table.find((job) => job.type === 'construct');
+        if (job?.timeCompleted) progress.push(jobProgress(job));
+    });
+    assert.ok(progress.length < roomCharacteristics.kitchen.furnitureShape.construction.ticks, "the skilled colonist built it faster");
+    assert.ok(progress.every((fraction, i) => 0 <= fraction && fraction < 1 && (i === 0 || fraction > progress[i-1])));
+    assert.ok(progress.at(-1) > 0.9, `the last progress was ${progress.at(-1)}`);
+    assert.deepEqual(violations(messages), []);
+});
@@ -0,0 +1,40 @@
+/*!
+ * From https://www.redblobgames.com/x/2327-roguelike-dev/
+ * Copyright 2023 Red Blob Games <redblobgames@gmail.com>
+ * @license Apache-2.0 <https://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * The browser game only reads the colony through the colony view, and
+ * only changes it with commands
+ */
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import {map, simulation, colony, snapshot, restore, step} from "../simulation.js";
+import {startScenario} from "./scenarios.js";
+
+test("the colony view follows the world when it's replaced", () => {
+    startScenario();
+    step(100);
+    const saved = JSON.parse(JSON.stringify(snapshot()));
+    assert.equal(colony.map, map);
+    assert.equal(colony.tickId, simulation.tickId);
+
+    startScenario({mapOptions: {seed: 2}});
+    assert.equal(colony.map, map);
+    assert.equal(colony.map.options.seed, 2);
+    restore(saved);
+    assert.equal(colony.map, map);
+    assert.equal(colony.tickId, saved.tickId);
+    assert.equal(colony.colonists, simulation.colonists);
+});
+
+test("the browser game doesn't import the simulation's internals", () => {
+    const source = fs.readFileSync(new URL("../2327-roguelike.js", import.meta.url), 'utf8');
+    const [, names] = source.match(/import \{([^}]*)\} from "\.\/simulation\.js"/);
+    const imported = names.split(",").map((name) => name.trim()).filter(Boolean);
+    for (let internal of ['map', 'simulation', 'jobs', 'crops', 'stockpiles', 'goals', 'combat', 'needs']) {
+        assert.ok(!imported.includes(internal), `the client imports ${internal}`);
+    }
+    assert.ok(imported.includes('colony'));
+});
@@ -0,0 +1,38 @@
+/*!
+ * From https://www.redblobgames.com/x/2327-roguelike-dev/
+ * Copyright 2023 Red Blob Games <redblobgames@gmail.com>
+ * @license Apache-2.0 <https://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * Commands that can't be done are refused, and leave the colony alone
+ */
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {map, jobs, applyCommand} from "../simulation.js";
+import {startScenario} from "./scenarios.js";
+
+test("blueprints in a room without furniture are refused", () => {
+    const messages = startScenario();
+    // r1 is an unlocked open room
+    const room = map.rooms.find((room) => room.id === 'r1');
+    assert.equal(room.type, 'open');
+    assert.equal(applyCommand({type: 'blueprint', pos: [31, 3]}), false);
+    assert.deepEqual(room.blueprints, []);
+    assert.equal(messages.at(-1), "The open room doesn't have any furniture to build");
+});
+
+test("planner settings that don't exist are refused", () => {
+    startScenario();
+    assert.equal(applyCommand({type: 'planner', mode: 'demand'}), true);
+    assert.equal(applyCommand({type: 'planner', mode: /** @type {any} */('anything')}), false);
+    assert.equal(jobs.planner, 'demand');
+
+    assert.equal(applyCommand({type: 'stockpile', itemType: 'wood', target: 5}), true);
+    assert.equal(applyCommand({type: 'stockpile', itemType: /** @type {any} */('bogus'), target: 5}), false);
+    assert.equal(applyCommand({type: 'stockpile', itemType: 'wood', target: -1}), false);
+    assert.equal(applyCommand({type: 'stockpile', itemType: 'wood', target: 2.5}), false);
+    assert.equal(applyCommand({type: 'stockpile', itemType: 'wood', target: /** @type {any} */("3")}), false);
+    assert.deepEqual(jobs.stockpileTargets, {wood: 5});
+    assert.equal(applyCommand({type: 'stockpile', itemType: 'wood', target: 0}), true);
+    assert.deepEqual(jobs.stockpileTargets, {});
+});
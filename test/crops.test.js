@@ -0,0 +1,42 @@
+/*!
+ * From https://www.redblobgames.com/x/2327-roguelike-dev/
+ * Copyright 2023 Red Blob Games <redblobgames@gmail.com>
+ * @license Apache-2.0 <https://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * The whole harvest makes it off the field, even when it's more than
+ * a colonist can carry
+ */
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Pos} from "../mapgen.js";
+import {map, simulation, crops, Colonist, isItemPosOnGround, step} from "../simulation.js";
+import {startScenario, violations} from "./scenarios.js";
+
+const FIELD = Pos(25, 45);
+
+test("a harvest too big to carry leaves the rest next to the field", () => {
+    const messages = startScenario({
+        rooms: [{id: 'r41', furniture: [[25, 45]]}],
+        colonists: [[27, 45]],
+    });
+    map.resources = []; // so that the field is the only food
+    // Ripe after being watered the whole time, so the best yield
+    const growth = 2 * simulation.TICKS_PER_DAY;
+    Object.assign(crops.field(FIELD), {stage: 'ripe', growth, plantedAt: simulation.tickId - growth});
+
+    const capacity = Colonist.CARRY_CAPACITY;
+    Colonist.CARRY_CAPACITY = 1;
+    try {
+        let ticks = 0;
+        while (crops.field(FIELD).stage === 'ripe' && ticks++ < 200) step();
+    } finally {
+        Colonist.CARRY_CAPACITY = capacity;
+    }
+    assert.equal(crops.field(FIELD).stage, 'untilled', "the field was harvested");
+    const [colonist] = simulation.colonists;
+    assert.equal(colonist.inventory?.count, 1);
+    const onGround = map.items.filter((item) => item.type === 'rawfood' && isItemPosOnGround(item.pos));
+    assert.equal(onGround.reduce((sum, item) => sum + item.count, 0), 2, "the rest of the harvest is on the ground");
+    assert.deepEqual(violations(messages), []);
+});
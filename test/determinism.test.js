@@ -0,0 +1,114 @@
+/*!
+ * From https://www.redblobgames.com/x/2327-roguelike-dev/
+ * Copyright 2023 Red Blob Games <redblobgames@gmail.com>
+ * @license Apache-2.0 <https://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * The simulation is reproducible: the same seed gives the same colony,
+ * saving and loading doesn't change what happens next, and the job
+ * table matches the golden files
+ */
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {setRandom, seededRandom, randRange, random} from "../util.js";
+import {simulation, workTypes, snapshot, restore, step, SAVE_VERSION} from "../simulation.js";
+import {startScenario, run, violations, assertGolden} from "./scenarios.js";
+
+/** @returns {any} the colony state, as plain json */
+function state() {
+    return JSON.parse(JSON.stringify(snapshot()));
+}
+
+test("randomness can be swapped out", () => {
+    setRandom(() => 0.5);
+    assert.equal(randRange(0, 10), 5);
+    let a = seededRandom(42), b = seededRandom(42);
+    setRandom(a);
+    const first = [random(), random(), random()];
+    setRandom(b);
+    assert.deepEqual([random(), random(), random()], first);
+});
+
+test("the same seed runs the same way", () => {
+    startScenario();
+    run(1000);
+    const first = state();
+    startScenario();
+    run(1000);
+    assert.deepEqual(state(), first);
+});
+
+test("saving and loading doesn't change what happens next", () => {
+    // Past the first roosters, on the night of day 3
+    const messages = startScenario();
+    run(1700);
+    const saved = state();
+    run(400);
+    const unsaved = state();
+    assert.ok(messages.some((str) => str.startsWith("A rooster appeared")), "the save has roosters in it");
+
+    restore(saved);
+    assert.equal(simulation.tickId, saved.tickId);
+    run(400);
+    assert.deepEqual(state(), unsaved);
+    assert.deepEqual(violations(messages), []);
+});
+
+test("old saves load with what they're missing filled in, and newer ones don't", () => {
+    startScenario();
+    run(300);
+    let old = state();
+    old.version = 1;
+    for (let colonist of old.colonists) {
+        delete colonist.needs;
+        delete colonist.skills;
+        delete colonist.workPriorities;
+    }
+    delete old.goals;
+    restore(old);
+    assert.equal(simulation.colonists[0].workPriorities.cook, workTypes.DEFAULT_PRIORITY);
+    assert.doesNotThrow(() => run(100));
+
+    const current = state();
+    assert.equal(current.version, SAVE_VERSION);
+    assert.throws(() => restore({...current, version: SAVE_VERSION + 1}), /newer version/);
+    assert.throws(() => restore({...current, version: undefined}), /Can't load save version/);
+    assert.equal(simulation.tickId, current.tickId, "a save that doesn't load leaves the colony alone");
+});
+
+/**
+ * The job table every so often, as saved
+ * @param {number} ticks
+ * @param {number} every
+ */
+function jobTables(ticks, every) {
+    let tables = {};
+    run(ticks, () => {
+        if (simulation.tickId % every === 0) tables[simulation.tickId] = snapshot().jobs;
+    });
+    return tables;
+}
+
+test("the colony's jobs match the golden file", () => {
+    startScenario();
+    assertGolden('colony-jobs', jobTables(1000, 100));
+});
+
+test("a kitchen and dining room's jobs match the golden file", () => {
+    startScenario({
+        rooms: [{id: 'r46', furniture: [[31, 48], [33, 48]]}, {id: 'r21', furniture: [[31, 24]]}],
+        items: [{type: 'rawfood', pos: [30, 52], count: 5}],
+        colonists: [[31, 30], [33, 30], [35, 30]],
+    });
+    for (let colonist of simulation.colonists) colonist.needs.hunger = 0.5;
+    assertGolden('kitchen-jobs', jobTables(400, 20));
+});
+
+test("step(n) is the same as n calls to step()", () => {
+    startScenario();
+    step(250);
+    const ahead = state();
+    startScenario();
+    run(250);
+    assert.deepEqual(state(), ahead);
+});
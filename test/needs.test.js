@@ -0,0 +1,48 @@
+/*!
+ * From https://www.redblobgames.com/x/2327-roguelike-dev/
+ * Copyright 2023 Red Blob Games <redblobgames@gmail.com>
+ * @license Apache-2.0 <https://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * Colonists get to eat and sleep in order of how badly they need to,
+ * and there's a bed for each of them from the start
+ */
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {map, simulation, jobs, roomCharacteristics, needs, step} from "../simulation.js";
+import {startScenario, run, violations} from "./scenarios.js";
+
+test("the hungriest colonist eats first, even from further away", () => {
+    const messages = startScenario({
+        rooms: [{id: 'r21', furniture: [[31, 24]]}],
+        items: [{type: 'meal', pos: [31, 24], count: 1}],
+        colonists: [[32, 25], [39, 27]],
+    });
+    const [near, far] = simulation.colonists;
+    near.needs.hunger = 0.33;
+    far.needs.hunger = 0.93;
+    step();
+    const job = jobs.table.find((job) => job.type === 'production');
+    assert.equal(job?.colonist, far);
+    assert.deepEqual(violations(messages), []);
+});
+
+test("the colony starts with a bed for everyone, and nobody collapses", () => {
+    const messages = startScenario();
+    const beds = map.rooms.filter((room) => room.type === 'bedroom')
+          .reduce((sum, room) => sum + room.furniture.length, 0);
+    assert.equal(beds, simulation.colonists.length);
+    run(3 * simulation.TICKS_PER_DAY);
+    assert.deepEqual(messages.filter((str) => str.includes("collapsed")), []);
+    assert.deepEqual(violations(messages), []);
+});
+
+test("someone starving doesn't go to bed just because they're tired", () => {
+    startScenario();
+    const bed = roomCharacteristics.bedroom.furnitureShape;
+    const [colonist] = simulation.colonists;
+    Object.assign(colonist.needs, {hunger: 0.9, fatigue: 0.7});
+    assert.equal(needs.wants(colonist, bed), false);
+    colonist.needs.fatigue = 0.9;
+    assert.equal(needs.wants(colonist, bed), true, "unless they're about to collapse");
+});
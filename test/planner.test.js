@@ -0,0 +1,35 @@
+/*!
+ * From https://www.redblobgames.com/x/2327-roguelike-dev/
+ * Copyright 2023 Red Blob Games <redblobgames@gmail.com>
+ * @license Apache-2.0 <https://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * The demand planner only makes what's needed, but always keeps enough
+ * food around that nobody starves waiting for it
+ */
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {map, simulation, jobs, population, applyCommand, findItemOnTile} from "../simulation.js";
+import {startScenario, run, violations} from "./scenarios.js";
+
+test("a table is kept stocked even when nobody's hungry", () => {
+    const messages = startScenario({
+        rooms: [{id: 'r21', furniture: [[31, 24]]}],
+        items: [{type: 'meal', pos: [35, 26], count: 3}],
+        colonists: [[33, 26]],
+    });
+    applyCommand({type: 'planner', mode: 'demand'});
+    map.resources = []; // so that there's nothing else to do
+    run(100);
+    assert.equal(findItemOnTile(map.rooms.find((room) => room.id === 'r21').furniture[0])?.count, jobs.MINIMUM_STOCK);
+    assert.deepEqual(violations(messages), []);
+});
+
+test("a colony on the demand planner survives its first days", () => {
+    const messages = startScenario();
+    applyCommand({type: 'planner', mode: 'demand'});
+    run(5 * simulation.TICKS_PER_DAY);
+    assert.deepEqual(messages.filter((str) => str.includes("starved")), []);
+    assert.equal(population.stats.died, 0);
+    assert.deepEqual(violations(messages), []);
+});
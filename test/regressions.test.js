@@ -0,0 +1,130 @@
+/*!
+ * From https://www.redblobgames.com/x/2327-roguelike-dev/
+ * Copyright 2023 Red Blob Games <redblobgames@gmail.com>
+ * @license Apache-2.0 <https://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * One scenario for each of the job system bugs in the diary (index.org,
+ * "Bugs" under the job system), so that they stay fixed
+ */
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Pos} from "../mapgen.js";
+import {
+    map, simulation, jobs, workTypes, roomCharacteristics, positionsOccupiedByFurniture,
+    isItemPosOnGround, isPositionInRoomBuildable, findItemOnTile, applyCommand, step,
+} from "../simulation.js";
+import {startScenario, run, violations} from "./scenarios.js";
+
+/**
+ * What the built furniture takes up right now
+ * @returns {{stands: Set<string>, inputs: Map<string, ItemType>, occupied: Set<string>}}
+ */
+function furnitureLayout() {
+    let stands = new Set(), inputs = new Map(), occupied = new Set();
+    for (let room of map.rooms) {
+        const shape = roomCharacteristics[room.type].furnitureShape;
+        if (!shape) continue;
+        for (let furniture of room.furniture) {
+            stands.add(Pos(furniture.x + shape.stand.x, furniture.y + shape.stand.y).toString());
+            for (let input of shape.inputs) {
+                inputs.set(Pos(furniture.x + input.pos.x, furniture.y + input.pos.y).toString(), input.type);
+            }
+            for (let p of positionsOccupiedByFurniture(room, furniture).keys()) occupied.add(p);
+        }
+    }
+    return {stands, inputs, occupied};
+}
+
+// A kitchen with three stoves, two of them already loaded, and more
+// raw food on the floor. Output goes to the bottom right first, which
+// is where the third stove's stand is.
+const KITCHEN = {
+    rooms: [{id: 'r46', furniture: [[31, 48], [33, 48], [37, 51]]}],
+    items: [
+        {type: 'rawfood', pos: [31, 48], count: 2},
+        {type: 'rawfood', pos: [33, 48], count: 1},
+        {type: 'rawfood', pos: [30, 52], count: 5},
+    ],
+};
+
+test("colonists don't move items from one furniture input to another", () => {
+    const messages = startScenario(KITCHEN);
+    const {inputs} = furnitureLayout();
+    let pickups = 0;
+    run(400, () => {
+        for (let job of jobs.table) {
+            if (job.type !== 'transport' || job.colonist.state !== 'walking-to-item') continue;
+            pickups++;
+            assert.ok(!inputs.has(job.item.pos.toString()), `${job.id} picks up ${job.item.id} from an input at ${job.item.pos}`);
+        }
+    });
+    assert.ok(pickups > 0, "the stoves were loaded from the floor");
+    assert.deepEqual(violations(messages), []);
+});
+
+test("colonists don't stay on the stand after finishing a job", () => {
+    const messages = startScenario({
+        rooms: [{id: 'r21', furniture: [[31, 24]]}],
+        items: [{type: 'meal', pos: [31, 24], count: 3}],
+        colonists: [[33, 26], [35, 26]],
+    });
+    // With no work to do, there's no other job to take them off the stand
+    for (let colonist of simulation.colonists) {
+        colonist.needs.hunger = 0.9;
+        for (let work of workTypes.NAMES) {
+            applyCommand({type: 'workPriority', colonist: colonist.id, work, priority: 0});
+        }
+    }
+    const {stands} = furnitureLayout();
+    let walkingAway = 0;
+    run(200, () => {
+        for (let colonist of simulation.colonists) {
+            if (colonist.state === 'idle' && colonist.path.length > 0) walkingAway++;
+            if (colonist.state !== 'idle' || colonist.path.length > 0 || jobs.lookupColonist(colonist)) continue;
+            assert.ok(!stands.has(colonist.pos.toString()), `${colonist.id} is standing around on the stand at ${colonist.pos}`);
+        }
+    });
+    assert.ok(walkingAway > 0, "idle colonists walked off after eating");
+    // Both of them got to eat at the one table
+    for (let colonist of simulation.colonists) assert.ok(colonist.needs.hunger < 0.9, `${colonist.id} didn't eat`);
+    assert.deepEqual(violations(messages), []);
+});
+
+test("the colony keeps its invariants", () => {
+    const messages = startScenario();
+    run(3000);
+    assert.deepEqual(violations(messages), []);
+});
+
+test("colonists don't drop output items on furniture", () => {
+    const messages = startScenario(KITCHEN);
+    const {inputs, occupied} = furnitureLayout();
+    run(400, () => {
+        for (let item of map.items) {
+            if (!isItemPosOnGround(item.pos)) continue;
+            const key = item.pos.toString();
+            if (!occupied.has(key)) continue;
+            assert.equal(inputs.get(key), item.type, `${item.type} ${item.id} is on furniture at ${key}`);
+        }
+    });
+    assert.ok(map.items.some((item) => item.type === 'meal'), "the stoves made meals");
+    assert.deepEqual(violations(messages), []);
+});
+
+test("furniture can't be built on items or on tiles that items are headed to", () => {
+    startScenario(KITCHEN);
+    const kitchen = map.rooms.find((room) => room.id === 'r46');
+    assert.equal(isPositionInRoomBuildable(kitchen, Pos(35, 49)), true, "an open tile is fine");
+    assert.equal(isPositionInRoomBuildable(kitchen, Pos(30, 52)), false, "there's raw food there");
+    assert.equal(applyCommand({type: 'blueprint', pos: [30, 51]}), false, "the stove's stand would be on the raw food");
+    // Wait for a colonist to be on their way to put something on an empty tile
+    const headedToEmptyTile = () => jobs.table.find((job) => job.room === kitchen && job.dest
+                                                    && !findItemOnTile(job.dest)
+                                                    && !furnitureLayout().occupied.has(job.dest.toString()));
+    let ticks = 0;
+    while (!headedToEmptyTile() && ticks++ < 200) step();
+    const job = headedToEmptyTile();
+    assert.ok(job, "some item was headed to an empty tile in the kitchen");
+    assert.equal(isPositionInRoomBuildable(kitchen, job.dest), false, `${job.id} reserved ${job.dest}`);
+});
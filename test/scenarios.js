@@ -0,0 +1,71 @@
+/*!
+ * From https://www.redblobgames.com/x/2327-roguelike-dev/
+ * Copyright 2023 Red Blob Games <redblobgames@gmail.com>
+ * @license Apache-2.0 <https://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * Shared by the tests: scenarios run headlessly on a fixed seed, with
+ * the invariant checks turned on and the messages collected, and
+ * golden files to compare the job table against
+ */
+
+/// <reference path="../types.d.ts"/>
+
+import fs from "node:fs";
+import assert from "node:assert/strict";
+import {hooks, createScenario, step} from "../simulation.js";
+
+// All the scenarios are on this map, so that the room ids mean the same
+// thing in every test. r46 is an unlocked kitchen, r21 an unlocked
+// dining room, and r4 a locked room deep in the mountain.
+export const SEED = 1;
+
+/**
+ * Set up a scenario, and collect everything it reports
+ * @param {Scenario} [scenario]
+ * @returns {string[]} the messages so far, appended to as it runs
+ */
+export function startScenario(scenario = {}) {
+    /** @type {string[]} */
+    let messages = [];
+    hooks.message = (str) => { messages.push(str); };
+    createScenario({...scenario, mapOptions: {seed: SEED, ...scenario.mapOptions}});
+    hooks.checkInvariants = true;
+    return messages;
+}
+
+/**
+ * Run the simulation, checking something after every tick
+ * @param {number} ticks
+ * @param {() => void} [eachTick]
+ */
+export function run(ticks, eachTick = () => {}) {
+    for (let i = 0; i < ticks; i++) {
+        step();
+        eachTick();
+    }
+}
+
+/**
+ * @param {string[]} messages
+ * @returns {string[]} the ones that report broken invariants
+ */
+export function violations(messages) {
+    return messages.filter((str) => str.startsWith("Invariant:"));
+}
+
+/**
+ * Compare against test/golden/<name>.json. Run with UPDATE_GOLDEN=1
+ * to write the file instead, after a change that's supposed to change
+ * what the colonists do.
+ * @param {string} name
+ * @param {any} actual - json-compatible
+ */
+export function assertGolden(name, actual) {
+    const url = new URL(`golden/${name}.json`, import.meta.url);
+    if (process.env.UPDATE_GOLDEN) {
+        fs.writeFileSync(url, JSON.stringify(actual, null, 1) + "\n");
+        return;
+    }
+    assert.deepEqual(actual, JSON.parse(fs.readFileSync(url, 'utf8')),
+                     `${name} differs from the golden file; if that's expected, rerun with UPDATE_GOLDEN=1`);
+}
@@ -0,0 +1,69 @@
+/*!
+ * From https://www.redblobgames.com/x/2327-roguelike-dev/
+ * Copyright 2023 Red Blob Games <redblobgames@gmail.com>
+ * @license Apache-2.0 <https://www.apache.org/licenses/LICENSE-2.0.html>
+ *
+ * Jobs in a room the colonists can't get to are given up on, without
+ * stopping the rest of the colony
+ */
+
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Pos} from "../mapgen.js";
+import {map, simulation, jobs, findPath, applyCommand} from "../simulation.js";
+import {startScenario, run, violations} from "./scenarios.js";
+
+// r4 is deep in the mountain; unlocking it without any of the rooms
+// around it leaves it with no way in. The stove has its raw food, so
+// there's a job to be done there.
+const ISOLATED = {id: 'r4', type: 'kitchen', furniture: [[62, 5]]};
+const STAND = Pos(62, 6);
+
+test("a job in a room nobody can reach is given up on, and retried later", () => {
+    const messages = startScenario({
+        rooms: [ISOLATED, {id: 'r21', furniture: [[31, 24]]}],
+        items: [{type: 'rawfood', pos: [62, 5]}],
+    });
+    assert.equal(findPath(map, simulation.colonists[0].pos, STAND), null);
+
+    const isolatedJob = () => jobs.table.find((job) => job.stand?.equals(STAND));
+    let job;
+    assert.doesNotThrow(() => run(100, () => { job ??= isolatedJob(); }));
+    assert.ok(job, "someone was given the job");
+    assert.ok(!jobs.table.includes(job), "the job was given up on");
+    assert.ok(messages.includes(`${job.colonist.id} can't reach stove at ${STAND}, giving up on production job ${job.id}`),
+              "the player was told");
+
+    // Nobody tries again until the cooldown is over
+    const until = jobs.unreachable.get(STAND.toString());
+    assert.ok(until - simulation.tickId <= jobs.UNREACHABLE_TICKS);
+    assert.doesNotThrow(() => run(until - simulation.tickId - 1, () => {
+        assert.ok(jobs.isUnreachable(STAND.toString()));
+        assert.equal(isolatedJob(), undefined, "tried again before the cooldown was over");
+    }));
+    run(1);
+    assert.ok(!jobs.isUnreachable(STAND.toString()));
+    // The retry can be given up on within the same tick, so look for
+    // the message too
+    const attempts = () => messages.filter((str) => str.includes(`can't reach stove at ${STAND}`)).length;
+    const before = attempts();
+    let retried = false;
+    assert.doesNotThrow(() => run(50, () => { retried ||= Boolean(isolatedJob()) || attempts() > before; }));
+    assert.ok(retried, "tried again after the cooldown");
+    assert.deepEqual(violations(messages), []);
+});
+
+test("an order in a room nobody can reach doesn't stop the colony", () => {
+    const messages = startScenario({
+        rooms: [{id: 'r4', type: 'kitchen'}, {id: 'r46', furniture: [[31, 48]]}],
+        items: [{type: 'stone', pos: [30, 52], count: 4}, {type: 'rawfood', pos: [30, 51], count: 4}],
+    });
+    assert.ok(applyCommand({type: 'blueprint', pos: [62, 5]}));
+    let markedUnreachable = false;
+    assert.doesNotThrow(() => run(600, () => { markedUnreachable ||= jobs.isUnreachable(STAND.toString()); }));
+    assert.ok(markedUnreachable, "the materials' destination was marked unreachable");
+    assert.ok(messages.some((str) => str.includes(`can't reach ${STAND} with 3 stone`)), "the player was told");
+    assert.ok(!jobs.table.some((job) => job.dest?.equals(STAND)), "nobody is still trying to get there");
+    assert.ok(map.items.some((item) => item.type === 'meal'), "the kitchen kept cooking");
+    assert.deepEqual(violations(messages), []);
+});
@@ -1,41 +1,142 @@
 type Colonist = any;
+type ColonistState = 'idle' | 'walking-to-item' | 'carrying' | 'walking-to-stand' | 'working' | 'delivering' | 'collapsed' | 'fleeing' | 'fighting';
+// Meters from 0 to 1; hunger and fatigue build up, mood is better higher
+type Need = 'hunger' | 'fatigue' | 'mood';
+type Needs = Record<Need, number>;
+type Skill = 'farming' | 'cooking' | 'hauling' | 'crafting' | 'digging';
+type Skills = Record<Skill, number>; // experience, see skills.level()
+type WorkType = 'haul' | 'farm' | 'cook' | 'craft' | 'dig' | 'build';
+type WorkPriorities = Record<WorkType, number>; // 1 first to 4 last, 0 never
 
 type Position = {x: number; y: number; toString(): string; equals(p: Position): boolean;};
 type Rect = {left: number; right: number; top: number; bottom: number;};
 
-type ItemType = 'rawfood' | 'cookedfood';
-type Item = {id: string; type: ItemType; pos: Position | Object;};
+type ItemType = 'rawfood' | 'cookedfood' | 'meal' | 'stone' | 'wood' | 'iron_ore' | 'iron' | 'axe' | 'pick' | 'torch';
+type Item = {id: string; type: ItemType; count: number; pos: Position | Object;};
+type ItemCounts = {[type: string]: number};
+
+// Items that need to be delivered somewhere, like the cost of unlocking a room
+type Order = {cost: ItemCounts; delivered: ItemCounts};
+
+// What a furniture makes, using up inputs from its input tiles
+type Recipe = {
+    output: ItemType | null; // null for furniture that only restores a need
+    inputs: ItemCounts;
+    ticks: number;
+    tools?: {[tool: string]: number}; // fraction of the ticks it takes with this tool
+};
+
+type CropWork = 'till' | 'plant' | 'water' | 'harvest';
+type Crop = {
+    output: ItemType;
+    growDays: number;
+    waterLastsDays: number;
+    diesAfterDays: number;
+    yield: {min: number; max: number};
+    work: Record<CropWork, {ticks: number}>;
+};
+type Field = {
+    stage: 'untilled' | 'tilled' | 'planted' | 'ripe' | 'dead';
+    growth: number; // ticks it's been growing while watered
+    plantedAt: number | null;
+    wateredAt: number | null;
+};
 
 type FurnitureShape = {
+    name: string;
+    priority: number;
+    skill?: Skill; // practiced by working it
+    restores?: {need: 'hunger' | 'fatigue'; amount: number}; // at quality 1, see needs.quality()
+    comfort?: number; // quality of using it, before the quality of the food
     stand: Position;
-    inputs: Array<{type: ItemType; pos: Position}>;
-    output: ItemType;
+    inputs: Array<{type: ItemType; pos: Position}>; // one tile per item type
+    recipes: Recipe[];
+    crop?: Crop; // fields grow a crop instead of having recipes
     sprites: Array<{type: string, pos: Position}>;
-    ticks: number;
 };
                   
+type Blueprint = {pos: Position; order: Order};
+// Stockpile zone; right and bottom are exclusive, unlike room rects
+type Zone = {id: string; rect: Rect; filter: ItemType[] | null};
 type Door = {pos: Position; room1: Room; room2: Room;};
-type RoomType = 'open' | 'wilderness' | 'dining' | 'bedroom' | 'kitchen' | 'farm';
+type RoomType = 'open' | 'wilderness' | 'dining' | 'bedroom' | 'kitchen' | 'farm'
+    | 'lumber_camp' | 'mine' | 'smelter' | 'tool_shop';
+type RoomGeneration = {
+    minSize?: [number, number]; // interior width, height
+    maxSize?: [number, number];
+    weightByDepth: number[]; // indexed by q; the last weight is used for deeper rooms
+    minNearWilderness?: number; // guaranteed count in the q=0 column
+};
 type Room = {
+    id: string;
     type: RoomType;
     q: number; r: number;
     hash: number;
     rect: Rect;
     unlocked: boolean;
+    unlockCost: ItemCounts;
+    unlockOrder: Order | null; // set once the player asks to unlock it
+    excavating: boolean; // after the order is delivered, until it's dug out
     furniture: Array<Position>;
+    blueprints: Array<Blueprint>; // furniture that isn't built yet
+    tier: number; // index into DEPTH_TIERS, from q
+    hazard: Hazard | null;
+    water: number; // flooded rooms: pumping left to do
+    veins: Array<Position>; // tiles that have ore when dug out
+    rubble: Array<Position>; // doors that caved in
+};
+type Hazard = 'caveIn' | 'flooded' | 'dark';
+type DepthTier = {
+    name: string;
+    fromQ: number; // first column of rooms in this tier
+    effort: number; // multiplies the unlock cost and the digging time
+    orePerTile: number; // chance of each tile being part of an ore vein
+    hazardChance: number;
+};
+
+type MapOptions = {
+    seed: number;
+    width: number; height: number;
+    roomAverageWidth: number; roomAverageHeight: number;
+    edge: number;
+    wildernessWidth: number;
 };
 
 type GameMap = {
+    options: MapOptions;
     bounds: Rect;
     tiles: { get(pos: Position): string; };
     roomRows: number; roomCols: number;
     rooms: Array<Room>;
+    wilderness: Room;
     walkable: Map<string, {pos: Position; in: Room|Door}>;
     wildernessEnds: Map<string, number>;
     doors: Set<Door>;
+    resources: Array<ResourceNode>;
     items: Array<Item>;
 };
 
+// Wilderness resources, like wild plants and trees
+type ResourceGeneration = {
+    terrain: 'plains' | 'riverbank';
+    chance: number; // of each tile of that terrain
+    uses: number; // how many times it can be gathered before it has to regrow
+};
+type WildResource = {
+    name: string;
+    sprite: string;
+    skill: Skill; // practiced by gathering it
+    generation: ResourceGeneration;
+    recipe: Recipe;
+    regrowTicks: number; // for each use
+};
+type ResourceNode = {
+    kind: string;
+    pos: Position;
+    uses: number;
+    regrowAt: number | null; // tick when it gets another use back
+};
+
 type Job = {
     id: string;
     type: string;
@@ -45,5 +146,104 @@ type Job = {
     item: Item | undefined;
     dest: Position;
     stand: Position | undefined;
+    order?: Order; // transport jobs delivering to an order
+    count?: number; // transport jobs: how many to take from the stack
+    recipe?: number; // production jobs: index into the furniture's recipes
+    work?: CropWork; // tend jobs
     timeCompleted: number | null | undefined;
+    timeStarted?: number | null; // while working, for progress bars
+};
+
+// Things the player asks the simulation to do, see applyCommand()
+type Command =
+    | {type: 'unlock'; room: string} // room id
+    | {type: 'blueprint'; pos: [number, number]}
+    | {type: 'addZone'; rect: Rect} // right and bottom are exclusive
+    | {type: 'zoneFilter'; zone: string; filter: ItemType[] | null} // null for everything
+    | {type: 'removeZone'; zone: string}
+    | {type: 'planner'; mode: PlannerMode}
+    | {type: 'stockpile'; itemType: ItemType; target: number}
+    | {type: 'continue'} // keep playing after the run is over
+    | {type: 'defense'; kind: DefenseKind; pos: [number, number]}
+    | {type: 'workPriority'; colonist: string; work: WorkType; priority: number}; // colonist id
+
+type PlannerMode = 'greedy' | 'demand';
+type DemandPlan = {
+    demand: ItemCounts; // wanted by consumers, orders, stockpiles, and recipes
+    free: ItemCounts; // items not already on their way to be used
+    pending: ItemCounts; // output of furniture that's loaded or working
+    need: ItemCounts; // has to be made; decremented as jobs are made
+    consumers: ItemCounts; // wanted by furniture like tables; decremented as jobs are made
+    claimed: Map<string, number>; // furniture -> recipe index it's counted in need for
+};
+
+// Something about the colony that's true or not, checked every tick
+type Condition =
+    | {type: 'unlock'; q: number} // any room this deep, or deeper, unlocked
+    | {type: 'items'; itemType: ItemType; count: number}
+    | {type: 'colonists'; count: number}
+    | {type: 'noColonists'}
+    | {type: 'dayOver'; day: number};
+type Goal = {condition: Condition; byDay?: number}; // lost if not met by the end of that day
+type Objectives = {goals: Goal[]; failures: Condition[]};
+type RunOutcome = {
+    result: 'won' | 'lost';
+    reason: string;
+    day: number;
+    continued: boolean; // the player kept playing after it ended
+};
+type PopulationStats = {arrived: number; died: number; left: number; peak: number};
+
+type CreatureKind = {
+    name: string;
+    sprite: string;
+    health: number;
+    damage: number; // per attack
+    attackTicks: number; // between attacks
+    moveTicks: number; // per tile
+    eats: ItemType[]; // goes after these in stockpiles
+    drops: ItemType | null; // left behind when killed
 };
+type Creature = {
+    id: string;
+    kind: string; // key into combat.CREATURES
+    pos: Position;
+    path: Position[]; // reverse order of tiles to visit, like colonists
+    health: number;
+    readyAt: number; // tickId of its next move or attack
+    repathAt: number; // tickId when it can look for a new path
+};
+type DefenseKind = 'barricade' | 'trap';
+type DefenseShape = {
+    name: string;
+    sprite: string;
+    materials: ItemCounts;
+    ticks: number; // to build, once the materials are there
+    hits: number; // barricades: damage it takes; traps: times it goes off
+    damage: number; // traps: to a creature stepping on it
+};
+type Defense = {
+    id: string;
+    kind: DefenseKind;
+    pos: Position;
+    order: Order; // materials for building it
+    built: boolean;
+    hits: number; // left
+};
+
+// A world set up for a specific situation, see createScenario()
+type Scenario = {
+    mapOptions?: Partial<MapOptions>;
+    rooms?: Array<{id: string; type?: RoomType; furniture?: Array<[number, number]>}>;
+    items?: Array<{type: ItemType; pos: [number, number]; count?: number}>;
+    colonists?: Array<[number, number]>;
+    objectives?: Objectives; // instead of goals.DEFAULT_OBJECTIVES
+};
+
+// What the client reads through the colony view, which it mustn't change
+type ReadonlyDeep<T> =
+    T extends (...args: any[]) => any ? T
+    : T extends Map<infer K, infer V> ? ReadonlyMap<K, ReadonlyDeep<V>>
+    : T extends Set<infer V> ? ReadonlySet<ReadonlyDeep<V>>
+    : T extends object ? {readonly [P in keyof T]: ReadonlyDeep<T[P]>}
+    : T;
@@ -11,5 +11,29 @@ export function lerp(a, b, t) { return a * (1-t) + b * t; }
 export function unlerp(a, b, t) { return (t - a) / (b - a); }
 export function rescale(v, from_lo, from_hi, to_lo, to_hi) { return lerp(to_lo, to_hi, unlerp(from_lo, from_hi, v)); }
 export function mod(a, b) { return (a % b + b) % b; }
-export function randRange(lo, hi) { return Math.floor(Math.random() * (hi-lo)) + lo; }
+
+// All randomness goes through random(), so that the simulation can
+// swap in a seeded generator and get the same results every run
+let _random = Math.random;
+export function random() { return _random(); }
+/** @param {() => number} fn - returns [0, 1) like Math.random */
+export function setRandom(fn) { _random = fn; }
+export function randRange(lo, hi) { return Math.floor(random() * (hi-lo)) + lo; }
 export function randInt(lo, hi) { return randRange(lo, hi+1); }
+
+/**
+ * Seeded generator (mulberry32). The state is exposed so that it can
+ * be saved and restored.
+ * @param {number} seed
+ * @returns {{(): number, state: number}}
+ */
+export function seededRandom(seed) {
+    const rng = () => {
+        let t = rng.state = (rng.state + 0x6d2b79f5) | 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    rng.state = seed | 0;
+    return rng;
+}